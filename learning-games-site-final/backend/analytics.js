@@ -0,0 +1,152 @@
+/**
+ * Usage analytics: event types, privacy levels and the date math behind the admin reports.
+ * Storage and queries live in server.js; everything here is pure.
+ *
+ * Events: { type, gameId, category, userId?, sessionId?, durationMs?, score?, total?, passed?, createdAt }
+ *   game_open     a learner opened a game's page
+ *   play_start    a play session was opened
+ *   play_end      a play session finished (completed or score submitted), with its duration
+ *   game_complete the game reported completion through the SDK
+ *   quiz_submit   a quiz was graded, with its score and whether it passed
+ *
+ * Privacy levels, per user (the strictest of the user's choice and the browser's signal applies):
+ *   'full'      events are linked to the account (needed for retention and funnels)
+ *   'anonymous' events are counted without any identifier
+ *   'off'       nothing is recorded
+ * A Do Not Track or Global Privacy Control header caps the level at 'anonymous'.
+ *
+ * Reports are bucketed by UTC day or ISO week (starting Monday), matching $dateTrunc.
+ */
+
+const EVENT_TYPES = ['game_open', 'play_start', 'play_end', 'game_complete', 'quiz_submit'];
+const PRIVACY_LEVELS = ['full', 'anonymous', 'off'];
+const INTERVALS = ['day', 'week'];
+const DAY_MS = 24 * 3600 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+function privacyLevel(preference, headers = {}){
+  const level = PRIVACY_LEVELS.includes(preference) ? preference : 'full';
+  const optedOut = headers['dnt'] === '1' || headers['sec-gpc'] === '1';
+  return optedOut && level === 'full' ? 'anonymous' : level;
+}
+
+// Start of the UTC day or ISO week containing date
+function bucketStart(date, interval){
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if(interval === 'week') d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+  return d;
+}
+function nextBucket(date, interval){ return new Date(date.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS); }
+
+// ?from / ?to as dates (to is inclusive) and ?interval. Defaults to the last 30 days by day.
+// Returns { from, to, interval, buckets } or { error }.
+function parseRange({ from, to, interval = 'day' } = {}, now = new Date()){
+  if(!INTERVALS.includes(interval)) return { error: `interval must be one of ${INTERVALS.join(', ')}` };
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if(isNaN(start) || isNaN(end)) return { error: 'Invalid date' };
+  const range = { from: bucketStart(start, 'day'), to: new Date(bucketStart(end, 'day').getTime() + DAY_MS - 1), interval };
+  if(range.from > range.to) return { error: 'from must not be after to' };
+  if(range.to - range.from > MAX_RANGE_DAYS * DAY_MS) return { error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+  range.buckets = [];
+  for(let b = bucketStart(range.from, interval); b <= range.to; b = nextBucket(b, interval)) range.buckets.push(b);
+  return range;
+}
+
+// Rows of { _id: { bucket, type }, count, users, durationMs, passed } -> one point per bucket, gaps filled
+// with zeros. activeUsers only counts events linked to an account.
+function buildSeries(rows, range){
+  const points = new Map(range.buckets.map(b => [b.getTime(), {
+    date: b.toISOString().slice(0, 10), opens: 0, plays: 0, completions: 0, quizSubmissions: 0, quizPasses: 0,
+    activeUsers: new Set(), playEnds: 0, playMs: 0
+  }]));
+  for(const r of rows){
+    const p = points.get(new Date(r._id.bucket).getTime());
+    if(!p) continue;
+    addCounts(p, r);
+    r.users.forEach(u => u && p.activeUsers.add(String(u)));
+  }
+  return [...points.values()].map(finishCounts);
+}
+
+// Rows of { _id: { key, type }, ... } -> one row of totals per key (a game id or a category)
+function buildBreakdown(rows){
+  const groups = new Map();
+  for(const r of rows){
+    const key = String(r._id.key ?? '');
+    if(!groups.has(key)) groups.set(key, { key, opens: 0, plays: 0, completions: 0, quizSubmissions: 0, quizPasses: 0, activeUsers: new Set(), playEnds: 0, playMs: 0 });
+    const g = groups.get(key);
+    addCounts(g, r);
+    r.users.forEach(u => u && g.activeUsers.add(String(u)));
+  }
+  return [...groups.values()].map(finishCounts).sort((a, b) => b.opens - a.opens || b.plays - a.plays);
+}
+
+function addCounts(p, r){
+  const type = r._id.type;
+  if(type === 'game_open') p.opens += r.count;
+  else if(type === 'play_start') p.plays += r.count;
+  else if(type === 'game_complete') p.completions += r.count;
+  else if(type === 'quiz_submit'){ p.quizSubmissions += r.count; p.quizPasses += r.passed; }
+  else if(type === 'play_end'){ p.playEnds += r.count; p.playMs += r.durationMs; }
+}
+function finishCounts({ activeUsers, playEnds, playMs, ...p }){
+  return { ...p, activeUsers: activeUsers.size, avgPlaySeconds: playEnds ? Math.round(playMs / playEnds / 1000) : 0 };
+}
+
+// Funnel steps, each counted over (user, game) pairs that also reached every earlier step
+const FUNNEL_STEPS = [
+  { key: 'opened', label: 'Opened the game', type: 'game_open' },
+  { key: 'started', label: 'Started playing', type: 'play_start' },
+  { key: 'completed', label: 'Completed the game', type: 'game_complete' },
+  { key: 'quizSubmitted', label: 'Submitted the quiz', type: 'quiz_submit' },
+  { key: 'quizPassed', label: 'Passed the quiz', passed: true }
+];
+
+function funnelPipeline(match){
+  const reached = FUNNEL_STEPS.map(s => s.passed ? '$passed' : { $in: [s.type, '$types'] });
+  const counts = {};
+  FUNNEL_STEPS.forEach((s, i) => { counts[s.key] = { $sum: { $cond: [{ $and: reached.slice(0, i + 1) }, 1, 0] } }; });
+  return [
+    { $match: { ...match, userId: { $ne: null } } },
+    { $group: { _id: { userId: '$userId', gameId: '$gameId' }, types: { $addToSet: '$type' }, passed: { $max: { $eq: ['$passed', true] } } } },
+    { $group: { _id: null, ...counts } }
+  ];
+}
+
+function buildFunnel(row = {}){
+  const first = row[FUNNEL_STEPS[0].key] || 0;
+  return FUNNEL_STEPS.map((s, i) => {
+    const count = row[s.key] || 0;
+    const previous = i ? row[FUNNEL_STEPS[i - 1].key] || 0 : count;
+    return { key: s.key, label: s.label, count, ofPrevious: previous ? count / previous : 0, ofFirst: first ? count / first : 0 };
+  });
+}
+
+// Rows of { first, buckets: [dates] } per user (first = their first event ever) -> cohorts by the
+// bucket of their first event, with how many were active again 0, 1, 2 ... intervals later
+function buildRetention(rows, range){
+  const step = (range.interval === 'week' ? 7 : 1) * DAY_MS;
+  const cohorts = new Map(range.buckets.map(b => [b.getTime(), { cohort: b.toISOString().slice(0, 10), users: 0, retained: [] }]));
+  const last = range.buckets[range.buckets.length - 1].getTime();
+  for(const r of rows){
+    const start = bucketStart(new Date(r.first), range.interval).getTime();
+    const c = cohorts.get(start);
+    if(!c) continue;
+    c.users++;
+    for(const b of r.buckets){
+      const offset = Math.round((new Date(b).getTime() - start) / step);
+      if(offset >= 0 && start + offset * step <= last) c.retained[offset] = (c.retained[offset] || 0) + 1;
+    }
+  }
+  return [...cohorts.entries()].map(([start, c]) => {
+    const periods = Math.round((last - start) / step) + 1;
+    return { ...c, retained: Array.from({ length: periods }, (_, i) => c.retained[i] || 0) };
+  });
+}
+
+module.exports = {
+  EVENT_TYPES, PRIVACY_LEVELS, INTERVALS, FUNNEL_STEPS,
+  privacyLevel, bucketStart, parseRange, buildSeries, buildBreakdown, funnelPipeline, buildFunnel, buildRetention
+};
@@ -0,0 +1,144 @@
+/**
+ * Content translations: locale negotiation and the per-locale game fields.
+ *
+ * A game is written in its defaultLocale (the plain title, description, lesson and quizzes) and may
+ * carry translations: [{ locale, title, description, lesson, quizzes }]. Translated quizzes follow
+ * the original question by question and only replace the wording (question, options, explanation)
+ * plus, for text questions, the accepted answers; answer keys and scoring stay shared.
+ *
+ * The caller's locales come from ?lang= first, then Accept-Language. Each game picks the first
+ * wanted locale it has, where 'pt' also matches 'pt-BR' and the reverse, and otherwise falls back
+ * to its defaultLocale. Every field falls back on its own, so a translation may leave fields out.
+ */
+
+const LOCALE_RE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+const MAX_ACCEPT_LANGUAGES = 10;
+
+// 'pt-br' -> 'pt-BR', 'zh-hant-tw' -> 'zh-Hant-TW'; null when it is not a locale tag
+function normalizeLocale(tag){
+  if(typeof tag !== 'string' || !LOCALE_RE.test(tag.trim())) return null;
+  const [lang, ...rest] = tag.trim().split('-');
+  return [lang.toLowerCase(), ...rest.map(p => p.length === 2 ? p.toUpperCase() : p.length === 4 ? p[0].toUpperCase() + p.slice(1).toLowerCase() : p.toLowerCase())].join('-');
+}
+const baseLanguage = locale => locale.split('-')[0];
+
+// Accept-Language header -> locales by descending quality
+function parseAcceptLanguage(header){
+  if(typeof header !== 'string') return [];
+  return header.split(',').slice(0, MAX_ACCEPT_LANGUAGES).map((part, i) => {
+    const [tag, ...params] = part.trim().split(';');
+    const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    return { locale: normalizeLocale(tag), q: q ? parseFloat(q[1]) : 1, i };
+  }).filter(l => l.locale && l.q > 0).sort((a, b) => b.q - a.q || a.i - b.i).map(l => l.locale);
+}
+
+function requestLocales(req){
+  const lang = normalizeLocale(req.query?.lang);
+  return [...new Set([...(lang ? [lang] : []), ...parseAcceptLanguage(req.headers['accept-language'])])];
+}
+
+// First of `wanted` that `available` has (exactly, then by base language), else `fallback`
+function pickLocale(available, wanted, fallback){
+  for(const w of wanted){
+    const exact = available.find(a => a.toLowerCase() === w.toLowerCase());
+    if(exact) return exact;
+    const sameLanguage = available.find(a => baseLanguage(a).toLowerCase() === baseLanguage(w).toLowerCase());
+    if(sameLanguage) return sameLanguage;
+  }
+  return fallback;
+}
+
+const gameLocales = g => [g.defaultLocale || 'en', ...(g.translations || []).map(t => t.locale)];
+
+// A quiz question in one locale; translated options are only used when they line up with the original
+function localizeQuestion(q, tq){
+  if(!tq) return q;
+  const out = { ...q };
+  if(typeof tq.question === 'string' && tq.question) out.question = tq.question;
+  if(typeof tq.explanation === 'string' && tq.explanation) out.explanation = tq.explanation;
+  if(Array.isArray(tq.options) && Array.isArray(q.options) && tq.options.length === q.options.length) out.options = tq.options;
+  if(Array.isArray(tq.acceptedAnswers) && tq.acceptedAnswers.length && q.type === 'text') out.acceptedAnswers = tq.acceptedAnswers;
+  return out;
+}
+
+/**
+ * The game's content fields in the best locale for `wanted`. Takes a plain object and returns a copy
+ * with title, description, lesson and quizzes replaced, plus `locale` (the one used) and `locales`
+ * (all the game has); `translations` itself is left out.
+ */
+function localizeGame(obj, wanted){
+  const { translations = [], ...out } = obj;
+  const locales = gameLocales(obj);
+  const locale = pickLocale(locales, wanted, locales[0]);
+  const t = translations.find(tr => tr.locale === locale);
+  if(t){
+    if(t.title) out.title = t.title;
+    if(t.description) out.description = t.description;
+    if(t.lesson && (t.lesson.content || t.lesson.sections?.length)) out.lesson = { ...t.lesson, title: t.lesson.title || obj.lesson?.title };
+    if(Array.isArray(t.quizzes) && out.quizzes) out.quizzes = out.quizzes.map((q, i) => localizeQuestion(q, t.quizzes[i]));
+  }
+  return { ...out, locale, locales };
+}
+
+// Quizzes for grading: a text answer counts in any of the game's languages
+function gradingQuizzes(obj){
+  return (obj.quizzes || []).map((q, i) => {
+    if(q.type !== 'text') return q;
+    const extra = (obj.translations || []).flatMap(t => t.quizzes?.[i]?.acceptedAnswers || []);
+    return extra.length ? { ...q, acceptedAnswers: [...q.acceptedAnswers, ...extra] } : q;
+  });
+}
+
+/**
+ * Checks translations from an admin form or metadata.json:
+ *   { "<locale>": { title, description, lessonTitle, lessonContent, lessonFormat, quizzes: [...] } }
+ * `quizzes`, the game's original questions when known, checks translated quizzes against them.
+ * Returns { translations: [{ locale, ...fields }] } with lesson fields still unbuilt, or { errors }.
+ * A null quiz entry keeps that question untranslated.
+ */
+function parseTranslations(input, { quizzes } = {}){
+  const errors = [];
+  if(input === undefined || input === null || input === '') return { translations: [] };
+  if(typeof input !== 'object' || Array.isArray(input)) return { errors: ['translations must be an object keyed by locale'] };
+  const translations = [];
+  for(const [tag, t] of Object.entries(input)){
+    const err = msg => errors.push(`translations.${tag}: ${msg}`);
+    const locale = normalizeLocale(tag);
+    if(!locale){ err('not a locale tag (e.g. fr, pt-BR)'); continue; }
+    if(!t || typeof t !== 'object'){ err('must be an object'); continue; }
+    const out = { locale };
+    for(const key of ['title', 'description', 'lessonTitle', 'lessonContent', 'lessonFormat']){
+      if(t[key] === undefined) continue;
+      if(typeof t[key] !== 'string') err(`${key} must be a string`);
+      else out[key] = t[key];
+    }
+    if(t.quizzes !== undefined){
+      if(!Array.isArray(t.quizzes)) err('quizzes must be an array');
+      else{
+        if(quizzes && t.quizzes.length > quizzes.length) err(`has ${t.quizzes.length} quiz questions, the game has ${quizzes.length}`);
+        out.quizzes = t.quizzes.map((q, i) => {
+          if(q === null) return {};
+          if(typeof q !== 'object') return err(`quizzes[${i}] must be an object or null`);
+          const tq = {};
+          for(const key of ['question', 'explanation']) if(typeof q[key] === 'string') tq[key] = q[key];
+          if(q.options !== undefined){
+            if(!Array.isArray(q.options) || !q.options.every(o => typeof o === 'string')) err(`quizzes[${i}].options must be strings`);
+            else if(quizzes?.[i] && (quizzes[i].options || []).length !== q.options.length) err(`quizzes[${i}].options must have ${(quizzes[i].options || []).length} entries like the original`);
+            else tq.options = q.options;
+          }
+          if(q.acceptedAnswers !== undefined){
+            if(!Array.isArray(q.acceptedAnswers) || !q.acceptedAnswers.every(a => typeof a === 'string' && a)) err(`quizzes[${i}].acceptedAnswers must be non-empty strings`);
+            else tq.acceptedAnswers = q.acceptedAnswers;
+          }
+          return tq;
+        });
+      }
+    }
+    translations.push(out);
+  }
+  const seen = new Set();
+  translations.forEach(t => { if(seen.has(t.locale)) errors.push(`translations: ${t.locale} appears twice`); seen.add(t.locale); });
+  return errors.length ? { errors } : { translations };
+}
+
+module.exports = { normalizeLocale, parseAcceptLanguage, requestLocales, pickLocale, gameLocales, localizeGame, gradingQuizzes, parseTranslations };
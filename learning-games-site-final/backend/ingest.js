@@ -0,0 +1,207 @@
+/**
+ * Game package (ZIP) ingestion for bulk upload.
+ *
+ * Archives are read from disk through their central directory (never loaded whole into memory).
+ * The whole package is rejected when any entry is a symlink or has an unsafe path; limits,
+ * file types and metadata.json are checked per game folder so one bad game does not block the rest.
+ *
+ * A game folder is any directory holding a metadata.json; it must also contain index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const Ajv = require('ajv');
+
+const LIMITS = {
+  maxEntries: 5000,
+  maxTotalBytes: 500 * 1024 * 1024,
+  maxFilesPerGame: 500,
+  maxGameBytes: 100 * 1024 * 1024,
+  maxFileBytes: 25 * 1024 * 1024,
+  maxMetadataBytes: 256 * 1024
+};
+
+const ALLOWED_EXTENSIONS = new Set([
+  '.html', '.htm', '.js', '.mjs', '.css', '.json', '.map', '.txt', '.md', '.xml', '.wasm',
+  '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico', '.bmp',
+  '.mp3', '.ogg', '.wav', '.m4a', '.mp4', '.webm',
+  '.woff', '.woff2', '.ttf', '.otf'
+]);
+
+// Archive noise from macOS/Windows zip tools; dropped without being reported
+function isJunk(name){ return name.startsWith('__MACOSX/') || /(^|\/)(\.DS_Store|Thumbs\.db)$/.test(name); }
+
+const METADATA_SCHEMA = {
+  type: 'object',
+  required: ['title'],
+  additionalProperties: false,
+  properties: {
+    slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', maxLength: 100 },
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    category: { type: 'string', maxLength: 100 },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    access: { enum: ['free', 'locked'] },
+    unlockSecret: { type: 'string', minLength: 1, maxLength: 200 },
+    lessonTitle: { type: 'string', maxLength: 200 },
+    lessonContent: { type: 'string', maxLength: 200000 },
+    lessonFormat: { enum: ['html', 'markdown'] },
+    defaultLocale: { type: 'string', maxLength: 35 },
+    // per-locale overrides, checked in detail by i18n.parseTranslations
+    translations: { type: 'object', maxProperties: 50, additionalProperties: { type: 'object' } },
+    quizzes: { type: 'array', maxItems: 200, items: { type: 'object' } },
+    scoring: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { min: { type: 'number' }, max: { type: 'number' }, maxSubmitsPerHour: { type: 'integer', minimum: 1 } }
+    }
+  }
+};
+const checkMetadataSchema = new Ajv({ allErrors: true }).compile(METADATA_SCHEMA);
+
+// Package-level rejection; reasons lists every offending entry
+class PackageError extends Error {
+  constructor(message, reasons = []){ super(message); this.name = 'PackageError'; this.reasons = reasons; }
+}
+
+function entryPathProblem(name){
+  if(name.includes('\0')) return 'contains a NUL byte';
+  if(name.includes('\\')) return 'uses backslashes';
+  if(name.startsWith('/') || /^[a-zA-Z]:/.test(name)) return 'is an absolute path';
+  if(name.split('/').some(seg => seg === '..')) return 'escapes its folder (..)';
+  return null;
+}
+
+function isSymlink(entry){ return ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000; }
+
+function openZip(file){
+  return new Promise((resolve, reject) => yauzl.open(file, { lazyEntries: true, autoClose: false }, (err, zipfile) => err ? reject(err) : resolve(zipfile)));
+}
+
+function readEntries(zipfile){
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', entry => {
+      entries.push(entry);
+      if(entries.length > LIMITS.maxEntries) return reject(new PackageError(`Archive has more than ${LIMITS.maxEntries} entries`));
+      zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    // yauzl refuses absolute and ../ names itself; report those like our own path checks
+    zipfile.on('error', e => reject(/path|fileName/.test(e.message) ? new PackageError('Archive contains unsafe entries', [e.message]) : new PackageError('Unreadable archive', [e.message])));
+    zipfile.readEntry();
+  });
+}
+
+function openEntryStream(zipfile, entry){
+  return new Promise((resolve, reject) => zipfile.openReadStream(entry, (err, stream) => err ? reject(err) : resolve(stream)));
+}
+
+// Pipes an entry to `sink` (a function receiving chunks), aborting past maxBytes
+async function streamEntry(zipfile, entry, maxBytes, sink){
+  const stream = await openEntryStream(zipfile, entry);
+  let bytes = 0;
+  for await (const chunk of stream){
+    bytes += chunk.length;
+    if(bytes > maxBytes){ stream.destroy(); throw new Error(`${entry.fileName} exceeds ${maxBytes} bytes`); }
+    await sink(chunk);
+  }
+}
+
+async function readEntryText(zipfile, entry, maxBytes){
+  const chunks = [];
+  await streamEntry(zipfile, entry, maxBytes, chunk => { chunks.push(chunk); });
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Opens and checks a package. Resolves to
+ *   { games: [{ folder, files, meta, errors }], skipped: [{ folder, reason }], extract(game, destDir), close() }
+ * where `files` are the folder's entries with `rel` paths, `meta` the parsed metadata.json and
+ * `errors` this game's problems (empty when it can be imported). Rejects with PackageError when
+ * the archive itself is unsafe or unreadable.
+ */
+async function inspectPackage(zipPath){
+  let zipfile;
+  try{ zipfile = await openZip(zipPath); }
+  catch(e){ throw new PackageError('Unreadable archive', [e.message]); }
+  try{
+    const entries = (await readEntries(zipfile)).filter(e => !isJunk(e.fileName));
+    const unsafe = [];
+    for(const e of entries){
+      const problem = entryPathProblem(e.fileName);
+      if(problem) unsafe.push(`${e.fileName}: ${problem}`);
+      else if(isSymlink(e)) unsafe.push(`${e.fileName}: is a symlink`);
+    }
+    if(unsafe.length) throw new PackageError('Archive contains unsafe entries', unsafe);
+    const files = entries.filter(e => !e.fileName.endsWith('/'));
+    const totalBytes = files.reduce((sum, e) => sum + e.uncompressedSize, 0);
+    if(totalBytes > LIMITS.maxTotalBytes) throw new PackageError(`Archive unpacks to more than ${LIMITS.maxTotalBytes} bytes`);
+
+    const folders = files.filter(e => path.posix.basename(e.fileName) === 'metadata.json').map(e => path.posix.dirname(e.fileName));
+    // a metadata.json at the archive root would make every file part of one game; only folders count
+    const gameFolders = folders.filter(f => f !== '.');
+    const games = [];
+    for(const folder of gameFolders){
+      const prefix = folder + '/';
+      const own = files.filter(e => e.fileName.startsWith(prefix) && !gameFolders.some(f => f !== folder && f.startsWith(prefix) && e.fileName.startsWith(f + '/')));
+      const game = { folder, files: own.map(e => ({ entry: e, rel: e.fileName.slice(prefix.length), size: e.uncompressedSize })), meta: null, errors: [] };
+      const err = msg => game.errors.push(msg);
+
+      if(own.length > LIMITS.maxFilesPerGame) err(`more than ${LIMITS.maxFilesPerGame} files`);
+      if(own.reduce((sum, e) => sum + e.uncompressedSize, 0) > LIMITS.maxGameBytes) err(`unpacks to more than ${LIMITS.maxGameBytes} bytes`);
+      for(const f of game.files){
+        if(f.size > LIMITS.maxFileBytes) err(`${f.rel}: larger than ${LIMITS.maxFileBytes} bytes`);
+        if(!ALLOWED_EXTENSIONS.has(path.posix.extname(f.rel).toLowerCase())) err(`${f.rel}: file type not allowed`);
+      }
+      if(!game.files.some(f => f.rel === 'index.html')) err('missing index.html');
+
+      const metaFile = game.files.find(f => f.rel === 'metadata.json');
+      try{
+        game.meta = JSON.parse(await readEntryText(zipfile, metaFile.entry, LIMITS.maxMetadataBytes));
+        if(!checkMetadataSchema(game.meta)) checkMetadataSchema.errors.forEach(e => err(`metadata.json${e.instancePath || ''}: ${e.message}${e.params.additionalProperty ? ` '${e.params.additionalProperty}'` : ''}`));
+      } catch(e){
+        err(`metadata.json: ${e instanceof SyntaxError ? 'invalid JSON' : e.message}`);
+      }
+      games.push(game);
+    }
+    // everything outside a game folder is reported per top-level folder (or file)
+    const claimed = new Set(games.flatMap(g => g.files.map(f => f.entry.fileName)));
+    const skipped = new Map();
+    for(const e of files){
+      if(claimed.has(e.fileName)) continue;
+      const top = e.fileName.split('/')[0];
+      if(!skipped.has(top)) skipped.set(top, { folder: top, reason: top === e.fileName ? 'file outside a game folder' : 'no metadata.json' });
+    }
+    return { games, skipped: [...skipped.values()], extract: (game, destDir) => extractGame(zipfile, game, destDir), close: () => zipfile.close() };
+  } catch(e){
+    zipfile.close();
+    throw e;
+  }
+}
+
+// Writes one inspected game's files under destDir (which must not exist yet), via a temp dir.
+// metadata.json stays behind: the folder is served as is, and it holds answer keys and the unlock secret.
+async function extractGame(zipfile, game, destDir){
+  const tmpDir = destDir + '.partial';
+  fs.mkdirSync(tmpDir, { recursive: true });
+  try{
+    for(const f of game.files){
+      if(f.rel === 'metadata.json') continue;
+      const outPath = path.resolve(tmpDir, f.rel);
+      // defence in depth: entry names were checked in inspectPackage
+      if(!outPath.startsWith(path.resolve(tmpDir) + path.sep)) throw new Error(`${f.rel}: escapes its folder`);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      const fd = fs.openSync(outPath, 'wx');
+      try{ await streamEntry(zipfile, f.entry, LIMITS.maxFileBytes, chunk => { fs.writeSync(fd, chunk); }); }
+      finally{ fs.closeSync(fd); }
+    }
+    fs.renameSync(tmpDir, destDir);
+  } catch(e){
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    throw e;
+  }
+}
+
+module.exports = { inspectPackage, PackageError, LIMITS, ALLOWED_EXTENSIONS, METADATA_SCHEMA };
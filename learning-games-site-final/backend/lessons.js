@@ -0,0 +1,135 @@
+/**
+ * Lesson content: HTML sanitizing, Markdown and the structured lesson format.
+ *
+ * A stored lesson is { title, format: 'html' | 'markdown', content, sections } where content is
+ * the author's source and sections are the steps learners go through:
+ *   [{ title, html, checkpoint: [quiz question indexes] }]
+ *
+ * Markdown lessons start a new section at every `## Heading`. A line `[checkpoint: 1, 3]` asks quiz
+ * questions 1 and 3 (counting from 1) at the end of its section. Images may point into the game's
+ * bundle with a relative path (`![Map](images/map.png)`); renderLesson resolves them when the
+ * lesson is sent. HTML lessons are a single section without checkpoints.
+ *
+ * All HTML passes the same allow-list when a lesson is saved and again when it is rendered, so
+ * lessons stored before sanitizing existed are cleaned too.
+ */
+
+const sanitize = require('sanitize-html');
+const { marked } = require('marked');
+
+const LESSON_FORMATS = ['html', 'markdown'];
+
+const ALLOWED_TAGS = [
+  'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'mark',
+  'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'a', 'img', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span', 'div'
+];
+const ALLOWED_ATTRIBUTES = {
+  // target and rel are always overwritten by transformTags
+  a: ['href', 'title', 'target', 'rel'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ol: ['start'],
+  th: ['colspan', 'rowspan'],
+  td: ['colspan', 'rowspan']
+};
+
+// A path inside the game's bundle: relative, no scheme, no way out of the folder
+function isBundlePath(src){
+  return typeof src === 'string' && /^[\w][\w\-./ %]*$/.test(src) && !src.split('/').includes('..') && !src.includes('//');
+}
+
+// resolveAsset(relPath) -> URL turns bundle image paths into served URLs; without it they are kept
+// as they are (for storage). Images that are neither bundle paths nor https are dropped.
+function sanitizeHtml(html, { resolveAsset } = {}){
+  return sanitize(String(html || ''), {
+    allowedTags: ALLOWED_TAGS,
+    allowedAttributes: ALLOWED_ATTRIBUTES,
+    allowedSchemes: ['https', 'http', 'mailto'],
+    allowedSchemesByTag: { img: ['https'] },
+    allowProtocolRelative: false,
+    transformTags: {
+      a: (tagName, attribs) => ({ tagName, attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' } }),
+      img: (tagName, attribs) => {
+        const src = attribs.src || '';
+        if(/^https:\/\//i.test(src)) return { tagName, attribs };
+        if(!isBundlePath(src)) return { tagName, attribs: { ...attribs, src: '' } };
+        return { tagName, attribs: { ...attribs, src: resolveAsset ? resolveAsset(src) || '' : src } };
+      }
+    },
+    exclusiveFilter: frame => frame.tag === 'img' && !frame.attribs.src
+  });
+}
+
+// Section titles are shown as text: tags dropped, entities decoded
+function plainText(text){
+  return sanitize(text, { allowedTags: [], allowedAttributes: {} }).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&').trim();
+}
+
+// Bundle-relative image paths a section's HTML refers to
+function bundleImages(html){
+  return [...String(html).matchAll(/<img[^>]*\ssrc="([^"]*)"/g)].map(m => m[1]).filter(isBundlePath);
+}
+
+const CHECKPOINT_RE = /^\s*\[checkpoint:\s*([^\]]*)\]\s*$/i;
+const SECTION_RE = /^##\s+(.+?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+
+// Splits Markdown into sections at `## ` headings (outside code fences) and pulls out checkpoints
+function markdownSections(source, errors){
+  const sections = [{ title: '', lines: [], checkpoint: [] }];
+  let fence = null;
+  String(source).split(/\r?\n/).forEach((line, i) => {
+    const f = line.match(FENCE_RE);
+    if(f) fence = fence === f[1] ? null : (fence || f[1]);
+    const current = sections[sections.length - 1];
+    if(!fence && SECTION_RE.test(line)){
+      sections.push({ title: plainText(line.match(SECTION_RE)[1]), lines: [], checkpoint: [] });
+    } else if(!fence && CHECKPOINT_RE.test(line)){
+      const numbers = line.match(CHECKPOINT_RE)[1].split(',').map(n => n.trim()).filter(Boolean);
+      if(!numbers.length || !numbers.every(n => /^\d+$/.test(n) && Number(n) >= 1)) errors.push(`line ${i + 1}: checkpoint needs quiz question numbers, e.g. [checkpoint: 1, 2]`);
+      else current.checkpoint.push(...numbers.map(n => Number(n) - 1));
+    } else current.lines.push(line);
+  });
+  // an empty intro before the first heading is not a step
+  if(sections.length > 1 && !sections[0].lines.join('').trim() && !sections[0].checkpoint.length) sections.shift();
+  return sections.map(s => ({ title: s.title, html: sanitizeHtml(marked.parse(s.lines.join('\n'), { async: false })), checkpoint: [...new Set(s.checkpoint)] }));
+}
+
+/**
+ * Builds a lesson for storage from { title, format, content }. quizCount, when known, checks
+ * checkpoint numbers against the game's quiz. Returns { lesson, errors, images } where images are
+ * the bundle paths the lesson refers to.
+ */
+function buildLesson({ title = '', format = 'html', content = '' } = {}, { quizCount } = {}){
+  const errors = [];
+  if(!LESSON_FORMATS.includes(format)) return { lesson: null, errors: [`lesson format must be one of ${LESSON_FORMATS.join(', ')}`], images: [] };
+  let sections;
+  if(format === 'markdown') sections = markdownSections(content, errors);
+  else{
+    content = sanitizeHtml(content);
+    sections = [{ title: '', html: content, checkpoint: [] }];
+  }
+  if(quizCount !== undefined){
+    sections.forEach(s => s.checkpoint.filter(i => i >= quizCount).forEach(i => errors.push(`checkpoint question ${i + 1} is not in the quiz (${quizCount} questions)`)));
+  }
+  const images = [...new Set(sections.flatMap(s => bundleImages(s.html)))];
+  return { lesson: { title: String(title), format, content: String(content), sections }, errors, images };
+}
+
+// Lesson as sent to learners: sections re-sanitized with bundle images resolved, checkpoints limited
+// to questions that exist. Lessons saved before sections existed are built from their content.
+function renderLesson(lesson, { quizCount = 0, resolveAsset } = {}){
+  if(!lesson) return lesson;
+  const sections = lesson.sections?.length ? lesson.sections : buildLesson({ format: lesson.format || 'html', content: lesson.content }).lesson?.sections || [];
+  return {
+    title: lesson.title || '',
+    format: lesson.format || 'html',
+    sections: sections.map(s => ({
+      title: s.title || '',
+      html: sanitizeHtml(s.html, { resolveAsset }),
+      checkpoint: (s.checkpoint || []).filter(i => Number.isInteger(i) && i >= 0 && i < quizCount)
+    }))
+  };
+}
+
+module.exports = { LESSON_FORMATS, sanitizeHtml, buildLesson, renderLesson };
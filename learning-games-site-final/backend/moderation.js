@@ -0,0 +1,136 @@
+/**
+ * Automated comment moderation. Runs offline: no external services.
+ *
+ * A pipeline is a list of checks. Each check receives the comment text and a context
+ *   { recent: [{ text, createdAt }], trust: { score, approved, rejected, accountAgeDays } }
+ * (the author's recent comments and standing) and returns null or a verdict
+ *   { check, action: 'reject' | 'hold' | 'approve', reason }
+ * The strongest action wins: any reject rejects, otherwise any hold leaves the comment for a
+ * moderator, otherwise an approve publishes it. With no verdicts the comment waits for review.
+ *
+ * Built-in checks: blocklist (with leetspeak normalization), personal info (emails, phone
+ * numbers, links), flood, duplicate, spam (shouting, repeated characters) and trust.
+ */
+
+const fs = require('fs');
+
+// Leetspeak and look-alike characters, applied inside words that contain a letter
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e' };
+
+// Splits text into normalized words: lowercase, accents and leetspeak folded, punctuation inside a
+// word dropped ("f.u.c.k" -> "fuck"), and runs of single letters joined ("f u c k" -> "fuck")
+function normalizeWords(text){
+  const words = String(text).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .split(/\s+/)
+    // sentence punctuation around a word is not leetspeak ("great!!" is not "greatii")
+    .map(w => w.replace(/^[^a-z0-9@$]+|[^a-z0-9]+$/g, ''))
+    .map(w => /[a-z]/.test(w) ? w.replace(/[^a-z]/g, c => LEET[c] || '') : '')
+    .filter(Boolean);
+  const out = [];
+  for(const w of words){
+    if(w.length === 1 && out.length && out[out.length-1].single) out[out.length-1].word += w;
+    else out.push({ word: w, single: w.length === 1 });
+  }
+  return out.map(o => o.word);
+}
+
+const squeeze = w => w.replace(/(.)\1+/g, '$1');
+// "fuuuck" matches "fuck", but "as" does not match "ass"
+function wordMatches(word, term){ return word === term || (word.length >= term.length && squeeze(word) === squeeze(term)); }
+
+/**
+ * Blocklist file: one word or phrase per line, '#' comments. Terms are rejected outright; a
+ * leading '?' only holds the comment for review (for words that are fine in some contexts).
+ */
+function loadBlocklist(file){
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/).map(l => l.replace(/#.*/, '').trim()).filter(Boolean)
+    .map(l => ({ term: l.replace(/^\?/, '').trim(), action: l.startsWith('?') ? 'hold' : 'reject' }));
+}
+
+function blocklistCheck(entries){
+  const terms = entries.map(e => ({ ...e, words: normalizeWords(e.term) })).filter(e => e.words.length);
+  return text => {
+    const words = normalizeWords(text);
+    const hits = terms.filter(t => words.some((_, i) => t.words.every((tw, j) => words[i+j] && wordMatches(words[i+j], tw))));
+    if(!hits.length) return null;
+    const action = hits.some(h => h.action === 'reject') ? 'reject' : 'hold';
+    return { check: 'blocklist', action, reason: 'contains language that is not allowed', detail: hits.map(h => h.term).join(', ') };
+  };
+}
+
+const EMAIL_RE = /[a-z0-9._%+-]+\s*(?:@|\(at\)|\[at\]|\s+at\s+)\s*[a-z0-9-]+(?:\s*(?:\.|\(dot\)|\[dot\]|\s+dot\s+)\s*[a-z0-9-]+)*\s*(?:\.|\(dot\)|\[dot\]|\s+dot\s+)\s*[a-z]{2,}\b/i;
+// 7-15 digits with phone-style separators; a bare run of digits may just be a high score
+const PHONE_RE = /(?:\+|\b)\d(?:[\s().-]*\d){6,14}\b/;
+const DIGITS_RE = /^\d+$/;
+const LINK_RE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|gg|me|ly|tv|app|xyz|info|biz|us|uk|de|ru|link|site|online)\b(?:\/\S*)?/i;
+
+// Kids must not share contact details; links are held so a moderator can check where they go
+function personalInfoCheck(){
+  return text => {
+    if(EMAIL_RE.test(text)) return { check: 'personal-info', action: 'reject', reason: 'looks like it contains an email address' };
+    const phone = text.match(PHONE_RE);
+    if(phone) return { check: 'personal-info', action: DIGITS_RE.test(phone[0]) ? 'hold' : 'reject', reason: 'looks like it contains a phone number' };
+    if(LINK_RE.test(text)) return { check: 'links', action: 'hold', reason: 'contains a link' };
+    return null;
+  };
+}
+
+// Too many comments in a short time
+function floodCheck({ max = 5, windowMs = 10*60*1000 } = {}){
+  return (text, ctx) => {
+    const since = Date.now() - windowMs;
+    const count = ctx.recent.filter(c => new Date(c.createdAt).getTime() >= since).length;
+    return count >= max ? { check: 'flood', action: 'reject', reason: 'too many comments in a short time, please wait a bit' } : null;
+  };
+}
+
+// The same text (ignoring case, spacing and punctuation) posted again
+function duplicateCheck(){
+  const key = t => normalizeWords(t).join(' ');
+  return (text, ctx) => {
+    const k = key(text);
+    return k && ctx.recent.some(c => key(c.text) === k) ? { check: 'duplicate', action: 'reject', reason: 'you already posted this comment' } : null;
+  };
+}
+
+// Shouting and keyboard mashing are held rather than rejected
+function spamCheck({ maxCapsRatio = 0.7, minLettersForCaps = 20, maxRepeat = 8 } = {}){
+  const repeatRe = new RegExp(`(.)\\1{${maxRepeat},}`);
+  return text => {
+    const letters = text.replace(/[^a-zA-Z]/g, '');
+    if(letters.length >= minLettersForCaps && letters.replace(/[^A-Z]/g, '').length / letters.length > maxCapsRatio) return { check: 'spam', action: 'hold', reason: 'mostly capital letters' };
+    if(repeatRe.test(text)) return { check: 'spam', action: 'hold', reason: 'repeated characters' };
+    return null;
+  };
+}
+
+/**
+ * Trust: approved comments and account age earn trust, rejected comments cost more than they
+ * earn. Users at or above `autoApproveAt` skip the manual queue when no other check objects.
+ */
+function trustScore({ approved = 0, rejected = 0, accountAgeDays = 0 }){
+  return Math.min(approved, 20) + Math.min(accountAgeDays, 30) / 10 - 5 * rejected;
+}
+function trustCheck({ autoApproveAt = 5 } = {}){
+  return (text, ctx) => ctx.trust.score >= autoApproveAt ? { check: 'trust', action: 'approve', reason: 'trusted user' } : null;
+}
+
+const ACTION_STATUS = { reject: 'rejected', hold: 'pending', approve: 'approved' };
+
+// Runs every check and returns { status, verdicts } with status 'approved' | 'pending' | 'rejected'
+function createModerationPipeline(checks){
+  return async function moderate(text, ctx){
+    const verdicts = [];
+    for(const check of checks){
+      const v = await check(text, ctx);
+      if(v) verdicts.push(v);
+    }
+    const action = ['reject', 'hold', 'approve'].find(a => verdicts.some(v => v.action === a)) || 'hold';
+    return { status: ACTION_STATUS[action], verdicts };
+  };
+}
+
+module.exports = {
+  createModerationPipeline, loadBlocklist, normalizeWords, trustScore,
+  blocklistCheck, personalInfoCheck, floodCheck, duplicateCheck, spamCheck, trustCheck
+};
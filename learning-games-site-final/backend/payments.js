@@ -0,0 +1,121 @@
+/**
+ * Payment providers for premium subscriptions.
+ *
+ * Every provider implements the same interface:
+ *   createCheckoutSession({ userId, email, successUrl, cancelUrl }) -> { id, url }
+ *   verifyWebhook(rawBody, signatureHeader) -> event   (throws on a bad signature)
+ *   getSubscription(id) -> { id, customerId, status, currentPeriodEnd }
+ *
+ * - 'stripe': real Stripe via the official SDK (STRIPE_SECRET, STRIPE_PRICE_ID, STRIPE_WEBHOOK_SECRET)
+ * - 'local':  in-memory stand-in with no network access. It signs its webhook events the same way
+ *             Stripe does (`Stripe-Signature: t=...,v1=...`) so the webhook route is exercised unchanged.
+ *             Its checkout grants premium for free, so it is only used when PAYMENT_PROVIDER=local.
+ *
+ * createPaymentProvider() returns null when no provider is configured.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+function signPayload(secret, payload, timestamp = Math.floor(Date.now()/1000)){
+  const v1 = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${v1}`;
+}
+
+function verifySignature(secret, payload, header){
+  if(!header) throw new Error('Missing signature');
+  const parts = Object.fromEntries(String(header).split(',').map(p => p.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if(!timestamp || !parts.v1) throw new Error('Malformed signature');
+  if(Math.abs(Math.floor(Date.now()/1000) - timestamp) > SIGNATURE_TOLERANCE_SEC) throw new Error('Signature expired');
+  const expected = signPayload(secret, payload, timestamp).split('v1=')[1];
+  const a = Buffer.from(expected, 'hex'), b = Buffer.from(parts.v1, 'hex');
+  if(a.length !== b.length || !crypto.timingSafeEqual(a, b)) throw new Error('Bad signature');
+}
+
+function createStripeProvider(){
+  const stripe = require('stripe')(process.env.STRIPE_SECRET);
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  return {
+    name: 'stripe',
+    async createCheckoutSession({ userId, email, successUrl, cancelUrl }){
+      const session = await stripe.checkout.sessions.create({
+        mode: 'subscription',
+        line_items: [{ price: process.env.STRIPE_PRICE_ID, quantity: 1 }],
+        client_reference_id: String(userId),
+        customer_email: email,
+        success_url: successUrl,
+        cancel_url: cancelUrl
+      });
+      return { id: session.id, url: session.url };
+    },
+    verifyWebhook(rawBody, header){
+      return stripe.webhooks.constructEvent(rawBody, header, webhookSecret);
+    },
+    async getSubscription(id){
+      const sub = await stripe.subscriptions.retrieve(id);
+      return { id: sub.id, customerId: sub.customer, status: sub.status, currentPeriodEnd: new Date(sub.current_period_end*1000) };
+    }
+  };
+}
+
+// Without a webhook secret a random one is used: the provider signs its own events, so only
+// this process needs to know it.
+function createLocalProvider({ webhookSecret = crypto.randomBytes(32).toString('hex'), baseUrl = '', periodDays = 30 } = {}){
+  const sessions = new Map();
+  const subscriptions = new Map();
+  const newId = prefix => prefix + '_local_' + crypto.randomBytes(8).toString('hex');
+
+  // Builds a signed event exactly as the provider would deliver it to the webhook route
+  function buildEvent(type, object){
+    const payload = JSON.stringify({ id: newId('evt'), type, created: Math.floor(Date.now()/1000), data: { object } });
+    return { payload, signature: signPayload(webhookSecret, payload) };
+  }
+
+  return {
+    name: 'local',
+    async createCheckoutSession({ userId, email, successUrl, cancelUrl }){
+      const id = newId('cs');
+      sessions.set(id, { id, userId: String(userId), email, successUrl, cancelUrl, status: 'open' });
+      return { id, url: `${baseUrl}/api/stripe/local/checkout/${id}` };
+    },
+    verifyWebhook(rawBody, header){
+      verifySignature(webhookSecret, String(rawBody), header);
+      return JSON.parse(rawBody);
+    },
+    async getSubscription(id){
+      const sub = subscriptions.get(id);
+      if(!sub) throw new Error('No such subscription');
+      return { ...sub };
+    },
+    getSession(id){ return sessions.get(id); },
+    // Simulates the customer paying: activates a subscription and returns the signed
+    // checkout.session.completed event for the webhook route.
+    completeCheckout(sessionId){
+      const session = sessions.get(sessionId);
+      if(!session) throw new Error('No such session');
+      const sub = { id: newId('sub'), customerId: newId('cus'), status: 'active', currentPeriodEnd: new Date(Date.now() + periodDays*24*3600*1000) };
+      subscriptions.set(sub.id, sub);
+      session.status = 'complete';
+      return buildEvent('checkout.session.completed', { id: session.id, client_reference_id: session.userId, customer: sub.customerId, subscription: sub.id });
+    },
+    // Simulates a status change (e.g. 'canceled', 'past_due') on an existing subscription
+    updateSubscription(id, changes){
+      const sub = subscriptions.get(id);
+      if(!sub) throw new Error('No such subscription');
+      Object.assign(sub, changes);
+      const type = sub.status === 'canceled' ? 'customer.subscription.deleted' : 'customer.subscription.updated';
+      return buildEvent(type, { id: sub.id, customer: sub.customerId, status: sub.status, current_period_end: Math.floor(new Date(sub.currentPeriodEnd).getTime()/1000) });
+    }
+  };
+}
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET ? 'stripe' : ''), opts){
+  if(!name) return null;
+  if(name === 'stripe') return createStripeProvider();
+  if(name === 'local') return createLocalProvider(opts);
+  throw new Error('Unknown payment provider: ' + name);
+}
+
+module.exports = { createPaymentProvider, createLocalProvider, signPayload, verifySignature };
@@ -0,0 +1,31 @@
+/**
+ * Roles and the named permissions they grant. Routes check permissions, never role names
+ * (see requirePermission in server.js), so a new role is a new entry here.
+ */
+
+const PERMISSIONS = [
+  'games:manage',        // create, edit, version, lock and delete games; bulk upload
+  'games:play-locked',   // open locked games without premium or an unlock token
+  'comments:moderate',   // moderation queue, approve / reject / delete comments
+  'users:read',
+  'users:manage',        // change roles, delete accounts
+  'classrooms:teach',    // run own classrooms
+  'classrooms:all',      // see and manage every classroom
+  'analytics:read',
+  'storage:manage',      // storage garbage collection
+  'audit:read'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  teacher: ['classrooms:teach'],
+  moderator: ['comments:moderate', 'users:read'],
+  'content-editor': ['games:manage', 'games:play-locked', 'analytics:read'],
+  admin: PERMISSIONS
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function permissionsFor(role){ return ROLE_PERMISSIONS[role] || []; }
+function hasPermission(role, permission){ return permissionsFor(role).includes(permission); }
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, permissionsFor, hasPermission };
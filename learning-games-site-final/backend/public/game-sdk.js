@@ -0,0 +1,40 @@
+/**
+ * Learning Games SDK — include in an uploaded game to report play to the hub:
+ *
+ *   <script src="https://<backend>/sdk/game-sdk.js"></script>
+ *   LearningGames.start();
+ *   LearningGames.progress(0.5);          // fraction of the game done, 0..1
+ *   LearningGames.score(120);             // current score (shown live by the host)
+ *   LearningGames.complete({ score: 150 }); // final score, submitted to the leaderboard
+ *
+ * Events are posted to the host page, which relays them to the backend using a
+ * play session it obtained for this game. Outside the hub the calls are no-ops.
+ */
+(function(global){
+  var SOURCE = 'learning-games-sdk';
+  var VERSION = 1;
+  var hosted = global.parent && global.parent !== global;
+
+  function post(type, payload){
+    if(!hosted) return;
+    // The host checks that messages come from its own game iframe, so any target origin is fine here
+    global.parent.postMessage({ source: SOURCE, version: VERSION, type: type, payload: payload || {} }, '*');
+  }
+
+  function toNumber(n, name){
+    n = Number(n);
+    if(!isFinite(n)) throw new TypeError('LearningGames.' + name + ' expects a number');
+    return n;
+  }
+
+  global.LearningGames = {
+    start: function(){ post('start'); },
+    progress: function(fraction){ post('progress', { progress: Math.max(0, Math.min(1, toNumber(fraction, 'progress'))) }); },
+    score: function(score){ post('score', { score: toNumber(score, 'score') }); },
+    complete: function(opts){
+      var payload = {};
+      if(opts && opts.score !== undefined) payload.score = toNumber(opts.score, 'complete');
+      post('complete', payload);
+    }
+  };
+})(window);
@@ -0,0 +1,143 @@
+/**
+ * Minimal S3-compatible server for offline development and testing of the 's3' storage driver.
+ * Objects are kept on disk; requests are not authenticated. Supports path-style
+ * Create/Head bucket, Put/Get/Head/Delete object, DeleteObjects and ListObjectsV2.
+ *
+ *   AWS_BUCKET=games node s3-local.js      # listens on S3_LOCAL_PORT (4569), data in ./s3-data
+ *   STORAGE_DRIVER=s3 AWS_BUCKET=games S3_ENDPOINT=http://127.0.0.1:4569 node server.js
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const xmlEscape = s => String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+function createLocalS3Server({ root }){
+  fs.mkdirSync(root, { recursive: true });
+  // Objects live at <root>/<bucket>/<key>; their content type sits next to them in <root>/.meta/<bucket>/<key>
+  const objectPath = (bucket, key) => {
+    const p = path.resolve(root, bucket, key);
+    if(!p.startsWith(path.resolve(root, bucket) + path.sep)) throw Object.assign(new Error('bad key'), { status: 400 });
+    return p;
+  };
+  const metaPath = (bucket, key) => path.join(root, '.meta', bucket, key);
+
+  function sendXml(res, status, body){
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end('<?xml version="1.0" encoding="UTF-8"?>' + body);
+  }
+  function sendError(res, status, code){
+    sendXml(res, status, `<Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+  }
+  function readBody(req){
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on('data', c => chunks.push(c)).on('end', () => resolve(Buffer.concat(chunks))).on('error', reject);
+    });
+  }
+  function listAll(dir, base = ''){
+    if(!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(d => {
+      const rel = base ? `${base}/${d.name}` : d.name;
+      return d.isDirectory() ? listAll(path.join(dir, d.name), rel) : [rel];
+    }).sort();
+  }
+  function removeEmptyParents(file, stop){
+    for(let dir = path.dirname(file); dir.startsWith(stop + path.sep); dir = path.dirname(dir)){
+      try{ fs.rmdirSync(dir); } catch(e){ break; }
+    }
+  }
+  function deleteObject(bucket, key){
+    const p = objectPath(bucket, key);
+    // like S3, deleting a missing key (or a "folder") is not an error
+    if(!fs.existsSync(p) || !fs.statSync(p).isFile()) return;
+    fs.rmSync(p);
+    fs.rmSync(metaPath(bucket, key), { force: true });
+    removeEmptyParents(p, path.resolve(root, bucket));
+    removeEmptyParents(path.resolve(metaPath(bucket, key)), path.resolve(root, '.meta', bucket));
+  }
+
+  async function handle(req, res){
+    const url = new URL(req.url, 'http://localhost');
+    const [, bucket, ...rest] = url.pathname.split('/').map(decodeURIComponent);
+    const key = rest.join('/');
+    if(!bucket) return sendError(res, 400, 'InvalidBucketName');
+    const bucketDir = path.join(root, bucket);
+
+    if(!key){
+      if(req.method === 'PUT'){ fs.mkdirSync(bucketDir, { recursive: true }); res.writeHead(200); return res.end(); }
+      if(!fs.existsSync(bucketDir)) return sendError(res, 404, 'NoSuchBucket');
+      if(req.method === 'HEAD'){ res.writeHead(200); return res.end(); }
+      if(req.method === 'POST' && url.searchParams.has('delete')){
+        const body = (await readBody(req)).toString();
+        const keys = [...body.matchAll(/<Key>([\s\S]*?)<\/Key>/g)].map(m => m[1].replace(/&lt;|&gt;|&amp;|&apos;|&quot;/g, e => ({ '&lt;': '<', '&gt;': '>', '&amp;': '&', '&apos;': "'", '&quot;': '"' }[e])));
+        keys.forEach(k => deleteObject(bucket, k));
+        return sendXml(res, 200, `<DeleteResult>${keys.map(k => `<Deleted><Key>${xmlEscape(k)}</Key></Deleted>`).join('')}</DeleteResult>`);
+      }
+      if(req.method === 'GET'){
+        // ListObjectsV2 (continuation tokens are the last returned key)
+        const prefix = url.searchParams.get('prefix') || '';
+        const delimiter = url.searchParams.get('delimiter') || '';
+        const max = Math.min(1000, parseInt(url.searchParams.get('max-keys'),10) || 1000);
+        const after = url.searchParams.get('continuation-token') || '';
+        const contents = [], prefixes = new Set();
+        let truncated = false, last = '';
+        for(const k of listAll(bucketDir).filter(k => k.startsWith(prefix) && k > after)){
+          if(contents.length + prefixes.size >= max){ truncated = true; break; }
+          const restKey = k.slice(prefix.length);
+          if(delimiter && restKey.includes(delimiter)) prefixes.add(prefix + restKey.slice(0, restKey.indexOf(delimiter) + delimiter.length));
+          else contents.push(k);
+          last = k;
+        }
+        const items = contents.map(k => {
+          const st = fs.statSync(path.join(bucketDir, k));
+          return `<Contents><Key>${xmlEscape(k)}</Key><LastModified>${st.mtime.toISOString()}</LastModified><Size>${st.size}</Size></Contents>`;
+        }).join('');
+        const common = [...prefixes].map(p => `<CommonPrefixes><Prefix>${xmlEscape(p)}</Prefix></CommonPrefixes>`).join('');
+        return sendXml(res, 200, `<ListBucketResult><Name>${xmlEscape(bucket)}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${contents.length + prefixes.size}</KeyCount><IsTruncated>${truncated}</IsTruncated>${truncated ? `<NextContinuationToken>${xmlEscape(last)}</NextContinuationToken>` : ''}${items}${common}</ListBucketResult>`);
+      }
+      return sendError(res, 405, 'MethodNotAllowed');
+    }
+
+    if(!fs.existsSync(bucketDir)) return sendError(res, 404, 'NoSuchBucket');
+    const file = objectPath(bucket, key);
+    if(req.method === 'PUT'){
+      const body = await readBody(req);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, body);
+      fs.mkdirSync(path.dirname(metaPath(bucket, key)), { recursive: true });
+      fs.writeFileSync(metaPath(bucket, key), req.headers['content-type'] || 'application/octet-stream');
+      res.writeHead(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+      return res.end();
+    }
+    if(req.method === 'DELETE'){ deleteObject(bucket, key); res.writeHead(204); return res.end(); }
+    if(req.method === 'GET' || req.method === 'HEAD'){
+      if(!fs.existsSync(file) || !fs.statSync(file).isFile()){
+        if(req.method === 'HEAD'){ res.writeHead(404); return res.end(); }
+        return sendError(res, 404, 'NoSuchKey');
+      }
+      const st = fs.statSync(file);
+      const type = fs.existsSync(metaPath(bucket, key)) ? fs.readFileSync(metaPath(bucket, key), 'utf8') : 'application/octet-stream';
+      res.writeHead(200, { 'Content-Type': type, 'Content-Length': st.size, 'Last-Modified': st.mtime.toUTCString(), ETag: `"${st.size}-${st.mtimeMs}"` });
+      if(req.method === 'HEAD') return res.end();
+      return fs.createReadStream(file).pipe(res);
+    }
+    sendError(res, 405, 'MethodNotAllowed');
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(e => sendError(res, e.status || 500, e.status ? 'InvalidArgument' : 'InternalError'));
+  });
+}
+
+if(require.main === module){
+  const port = process.env.S3_LOCAL_PORT || 4569;
+  const root = process.env.S3_LOCAL_DIR || path.join(__dirname, 's3-data');
+  // the configured bucket exists from the start, as it would on a real account
+  if(process.env.AWS_BUCKET) fs.mkdirSync(path.join(root, process.env.AWS_BUCKET), { recursive: true });
+  createLocalS3Server({ root }).listen(port, () => console.log('Local S3 listening on', port));
+}
+
+module.exports = { createLocalS3Server };
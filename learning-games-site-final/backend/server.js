@@ -1,8 +1,9 @@
 /**
  * Backend: Express + Mongoose (Enhanced)
- * - Optional S3 uploads (USE_S3=true)
+ * - Pluggable storage for game bundles: local disk or S3 (STORAGE_DRIVER=s3, see storage.js)
  * - Bulk ZIP upload endpoint: extracts files, creates Game entries (requires admin)
  * - Admin user management, comment moderation, analytics endpoints
+ * - Classrooms: teachers group students with join codes and assign games with due dates
  * - CSP and security via helmet and appropriate headers
  */
 
@@ -16,8 +17,17 @@ const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const fs = require('fs');
-const AdmZip = require('adm-zip');
-const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const cookieParser = require('cookie-parser');
+const { createPaymentProvider } = require('./payments');
+const { inspectPackage, PackageError } = require('./ingest');
+const { createStorage, folderFromFilePath, collectOrphans } = require('./storage');
+const moderation = require('./moderation');
+const { createMailTransport } = require('./mailer');
+const { ROLES, permissionsFor, hasPermission } = require('./permissions');
+const analytics = require('./analytics');
+const lessons = require('./lessons');
+const i18n = require('./i18n');
 
 const app = express();
 app.use(helmet());
@@ -26,326 +36,2268 @@ app.use((req, res, next) => {
   res.setHeader("Content-Security-Policy", "default-src 'self'; frame-ancestors 'self';"); 
   next();
 });
-app.use(express.json({ limit: '2mb' }));
+// keep the raw body around for webhook signature checks
+app.use(express.json({ limit: '2mb', verify: (req,res,buf) => { req.rawBody = buf; } }));
+app.use(cookieParser());
 app.use(cors());
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/learning_games';
 mongoose.connect(MONGODB_URI);
 
 const uploadDir = path.join(__dirname, 'uploads');
-fs.mkdirSync(uploadDir, { recursive: true });
+// Incoming uploads land here before being handed to storage
+const uploadTmpDir = path.join(__dirname, 'tmp');
+fs.mkdirSync(uploadTmpDir, { recursive: true });
 
-const USE_S3 = process.env.USE_S3 === 'true';
-let s3;
-if (USE_S3) {
-  s3 = new AWS.S3({
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (process.env.USE_S3 === 'true' ? 's3' : 'local');
+const storage = createStorage(STORAGE_DRIVER, {
+  root: uploadDir,
+  bucket: process.env.AWS_BUCKET,
+  secret: process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET || 'dev_secret_change_me',
+  s3Options: {
     accessKeyId: process.env.AWS_ACCESS_KEY_ID,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION
-  });
-}
+    region: process.env.AWS_REGION,
+    ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT, s3ForcePathStyle: true } : {})
+  }
+});
+// Locked games get signed file URLs valid this long
+const SIGNED_URL_TTL_SEC = 3600;
+
+// Automated comment moderation (see moderation.js); the blocklist file is re-read on restart
+const moderateComment = moderation.createModerationPipeline([
+  moderation.blocklistCheck(moderation.loadBlocklist(process.env.MODERATION_BLOCKLIST || path.join(__dirname, 'moderation-blocklist.txt'))),
+  moderation.personalInfoCheck(),
+  moderation.floodCheck({ max: 5, windowMs: 10*60*1000 }),
+  moderation.duplicateCheck(),
+  moderation.spamCheck(),
+  moderation.trustCheck({ autoApproveAt: parseFloat(process.env.MODERATION_TRUST_AUTO_APPROVE) || 5 })
+]);
 
 // Multer config
-const upload = multer({ dest: uploadDir, limits: { fileSize: 50 * 1024 * 1024 } }); // 50MB
+const upload = multer({ dest: uploadTmpDir, limits: { fileSize: 50 * 1024 * 1024 } }); // 50MB
 
 // Rate limiter
 const limiter = rateLimit({ windowMs: 15*60*1000, max: 300 });
 app.use(limiter);
+// Stricter limit for credential endpoints (login, signup, password reset)
+const authLimiter = rateLimit({ windowMs: 15*60*1000, max: 20 });
 
 // Schemas
-const UserSchema = new mongoose.Schema({ email: String, passwordHash: String, role: { type: String, default: 'user' }, favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Game' }] });
+// What each role may do is defined in permissions.js
+const UserSchema = new mongoose.Schema({ email: String, passwordHash: String, role: { type: String, enum: ROLES, default: 'user' }, favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Game' }], isPremium: { type: Boolean, default: false }, premiumUntil: Date, emailVerified: { type: Boolean, default: false }, analyticsPrivacy: { type: String, enum: analytics.PRIVACY_LEVELS, default: 'full' } });
 const User = mongoose.model('User', UserSchema);
 
-const CommentSchema = new mongoose.Schema({ userId: mongoose.ObjectId, userEmail: String, text: String, createdAt: { type: Date, default: Date.now }, approved: { type: Boolean, default: false } });
-const RatingSchema = new mongoose.Schema({ userId: mongoose.ObjectId, score: Number });
-const QuizSchema = new mongoose.Schema({ question: String, options: [String], answerIndex: Number });
+const SubscriptionSchema = new mongoose.Schema({
+  userId: { type: mongoose.ObjectId, index: true },
+  provider: String,
+  checkoutSessionId: { type: String, index: true },
+  customerId: String,
+  subscriptionId: { type: String, index: true },
+  status: { type: String, default: 'pending' }, // pending | active | trialing | past_due | canceled ...
+  currentPeriodEnd: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const Subscription = mongoose.model('Subscription', SubscriptionSchema);
+
+// Quiz question types and the fields each one uses:
+//   single   - options + answerIndex
+//   multi    - options + answerIndexes (every correct option)
+//   text     - acceptedAnswers, matched normalized (case/space/punctuation-insensitive) or as regexes (matchMode 'regex');
+//              partialAnswers [{ answer, credit }] give partial credit
+//   ordering - options + correctOrder (option indexes in the right sequence)
+//   numeric  - answerNumber ± tolerance; partialTolerance widens the band with linearly falling credit
+const QUIZ_TYPES = ['single', 'multi', 'text', 'ordering', 'numeric'];
+const QuizSchema = new mongoose.Schema({
+  type: { type: String, enum: QUIZ_TYPES, default: 'single' },
+  question: String,
+  options: [String],
+  answerIndex: Number,
+  answerIndexes: [Number],
+  acceptedAnswers: [String],
+  partialAnswers: [{ _id: false, answer: String, credit: Number }],
+  matchMode: { type: String, enum: ['normalized', 'regex'], default: 'normalized' },
+  correctOrder: [Number],
+  answerNumber: Number,
+  tolerance: { type: Number, default: 0 },
+  partialTolerance: Number,
+  explanation: String
+});
+
+const LessonSchema = new mongoose.Schema({
+  title: String,
+  format: { type: String, enum: lessons.LESSON_FORMATS, default: 'html' },
+  content: String,
+  sections: [{ _id: false, title: String, html: String, checkpoint: [Number] }]
+}, { _id: false });
+const TranslationSchema = new mongoose.Schema({
+  locale: String,
+  title: String,
+  description: String,
+  lesson: LessonSchema,
+  quizzes: [{ _id: false, question: String, options: { type: [String], default: undefined }, explanation: String, acceptedAnswers: { type: [String], default: undefined } }]
+}, { _id: false });
 
 const GameSchema = new mongoose.Schema({
+  // stable identifier from metadata.json; bulk upload updates the game with the same slug
+  slug: { type: String, unique: true, sparse: true },
+  version: { type: Number, default: 0 },
   title: String,
   description: String,
   category: String,
   tags: [String],
+  // 'free' games are open to everyone; 'locked' games need premium, admin or a per-game unlock token
+  access: { type: String, enum: ['free', 'locked'], default: 'free' },
+  unlockSecretHash: { type: String, select: false },
   filePath: String,
-  lesson: { title: String, content: String },
+  // storage folder filePath points into (see servedFolder), for the /games/files access check
+  storageFolder: { type: String, index: true },
+  // see lessons.js: content is the author's source, sections the sanitized steps learners see
+  lesson: LessonSchema,
   quizzes: [QuizSchema],
-  ratings: [RatingSchema],
-  comments: [CommentSchema],
-  leaderboard: [{ userId: mongoose.ObjectId, name: String, score: Number, createdAt: Date }],
+  // language of the fields above; translations add other locales (see i18n.js)
+  defaultLocale: { type: String, default: 'en' },
+  translations: [TranslationSchema],
+  // Denormalized from the Rating collection: kept up to date on every rating write
+  ratingSum: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  averageRating: { type: Number, default: 0 },
+  // Leaderboard rules: accepted score range and how often one user may submit per hour
+  scoring: { min: { type: Number, default: 0 }, max: Number, maxSubmitsPerHour: { type: Number, default: 20 } },
+  plays: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 });
+// Search: weighted full-text index plus the facet / sort fields
+GameSchema.index({ title: 'text', tags: 'text', description: 'text', 'lesson.content': 'text' }, { name: 'game_search', weights: { title: 10, tags: 5, description: 3, 'lesson.content': 1 } });
+GameSchema.index({ category: 1 });
+GameSchema.index({ tags: 1 });
+GameSchema.index({ plays: -1 });
+GameSchema.index({ averageRating: -1, ratingCount: -1 });
+// Folder of a filePath served from storage at /games/files/<folder>/..., undefined for external URLs
+function servedFolder(filePath){ return filePath?.startsWith('/games/files/') ? folderFromFilePath(filePath) || undefined : undefined; }
+GameSchema.pre('save', function(){ this.storageFolder = servedFolder(this.filePath); });
 const Game = mongoose.model('Game', GameSchema);
 
+// One 1-5 star rating per user and game
+const RATING_MIN = 1, RATING_MAX = 5;
+const RatingSchema = new mongoose.Schema({
+  gameId: mongoose.ObjectId,
+  userId: { type: mongoose.ObjectId, index: true },
+  score: { type: Number, min: RATING_MIN, max: RATING_MAX },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+RatingSchema.index({ gameId: 1, userId: 1 }, { unique: true });
+const Rating = mongoose.model('Rating', RatingSchema);
+
+// Version history: a snapshot of the versioned fields per version. Bundles stay on disk while any
+// version references them, so a rollback can point filePath back at an earlier upload.
+const VERSIONED_FIELDS = ['title', 'description', 'category', 'tags', 'access', 'filePath', 'lesson', 'quizzes', 'scoring', 'defaultLocale', 'translations'];
+const GameVersionSchema = new mongoose.Schema({
+  gameId: { type: mongoose.ObjectId, index: true },
+  version: Number,
+  snapshot: mongoose.Schema.Types.Mixed,
+  // servedFolder(snapshot.filePath): bundles of earlier versions are served too
+  storageFolder: { type: String, index: true },
+  note: String,
+  createdBy: mongoose.ObjectId,
+  createdAt: { type: Date, default: Date.now }
+});
+GameVersionSchema.index({ gameId: 1, version: -1 }, { unique: true });
+GameVersionSchema.pre('save', function(){ this.storageFolder = servedFolder(this.snapshot?.filePath); });
+const GameVersion = mongoose.model('GameVersion', GameVersionSchema);
+
+// Leaderboards: one best score per user, per game, per window period ('all' / ISO week / UTC day)
+const LEADERBOARD_WINDOWS = ['all', 'week', 'day'];
+const LeaderboardEntrySchema = new mongoose.Schema({
+  gameId: mongoose.ObjectId,
+  userId: mongoose.ObjectId,
+  name: String,
+  window: { type: String, enum: LEADERBOARD_WINDOWS },
+  period: String,
+  score: Number,
+  achievedAt: Date
+});
+LeaderboardEntrySchema.index({ gameId: 1, window: 1, period: 1, userId: 1 }, { unique: true });
+LeaderboardEntrySchema.index({ gameId: 1, window: 1, period: 1, score: -1, achievedAt: 1 });
+const LeaderboardEntry = mongoose.model('LeaderboardEntry', LeaderboardEntrySchema);
+
+// Comments: top-level comments have no parentId; replies point at their parent and share the
+// thread's rootId. Only 'approved' comments are public; enough reports send one back to 'pending'.
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+const COMMENT_MAX_LENGTH = 2000;
+const COMMENT_REPORTS_TO_HIDE = 3;
+const CommentSchema = new mongoose.Schema({
+  gameId: { type: mongoose.ObjectId, index: true },
+  userId: { type: mongoose.ObjectId, index: true },
+  userEmail: String,
+  parentId: { type: mongoose.ObjectId, default: null },
+  rootId: { type: mongoose.ObjectId, default: null, index: true },
+  text: String,
+  status: { type: String, enum: COMMENT_STATUSES, default: 'pending' },
+  reports: [{ _id: false, userId: mongoose.ObjectId, reason: String, createdAt: { type: Date, default: Date.now } }],
+  reportCount: { type: Number, default: 0 },
+  // the automated decision for the current text, and the moderator who last reviewed it
+  moderation: {
+    status: String,
+    verdicts: [{ _id: false, check: String, action: String, reason: String, detail: String }],
+    trust: Number,
+    at: Date
+  },
+  reviewedBy: mongoose.ObjectId,
+  reviewedAt: Date,
+  editedAt: Date,
+  // set when the author deletes a comment that has replies; the thread stays, the text goes
+  deletedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+CommentSchema.index({ gameId: 1, rootId: 1, status: 1, createdAt: -1 });
+CommentSchema.index({ status: 1, createdAt: -1 });
+CommentSchema.index({ reportCount: -1, createdAt: -1 });
+const Comment = mongoose.model('Comment', CommentSchema);
+
+// One play of a game, opened by the host page; a score is only accepted through an unsubmitted session
+const PlaySessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.ObjectId, index: true },
+  gameId: { type: mongoose.ObjectId, index: true },
+  startedAt: Date,
+  lastEventAt: Date,
+  progress: { type: Number, default: 0 },
+  lastScore: Number,
+  completedAt: Date,
+  endedAt: Date,
+  submittedAt: Date,
+  score: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+PlaySessionSchema.index({ userId: 1, gameId: 1, submittedAt: -1 });
+const PlaySession = mongoose.model('PlaySession', PlaySessionSchema);
+const PLAY_SESSION_TTL = '1h';
+
+// One graded quiz submission by a learner
+const AttemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.ObjectId, index: true },
+  gameId: { type: mongoose.ObjectId, index: true },
+  answers: [mongoose.Schema.Types.Mixed],
+  results: [{ _id: false, correct: Boolean, credit: Number }],
+  score: Number,
+  total: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+AttemptSchema.index({ userId: 1, gameId: 1, createdAt: -1 });
+const Attempt = mongoose.model('Attempt', AttemptSchema);
+// Share of questions a learner must get right for the lesson to count as completed
+const QUIZ_PASS_RATIO = 0.7;
+
+// Classrooms: a teacher's group of students, joined with a short code
+const ClassroomSchema = new mongoose.Schema({
+  name: String,
+  teacherId: { type: mongoose.ObjectId, index: true },
+  joinCode: { type: String, unique: true },
+  students: [{ type: mongoose.ObjectId, index: true }],
+  createdAt: { type: Date, default: Date.now }
+});
+const Classroom = mongoose.model('Classroom', ClassroomSchema);
+
+// A game (and its quiz) assigned to a classroom. Games with a quiz are completed by passing it
+// (QUIZ_PASS_RATIO), games without one by finishing a play session.
+const AssignmentSchema = new mongoose.Schema({
+  classroomId: { type: mongoose.ObjectId, index: true },
+  gameId: { type: mongoose.ObjectId, index: true },
+  title: String,
+  instructions: String,
+  dueAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+const Assignment = mongoose.model('Assignment', AssignmentSchema);
+
+// Audit log of admin actions. Append-only: the model refuses updates and deletes.
+const AuditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.ObjectId, index: true },
+  actorEmail: String,
+  actorRole: String,
+  action: { type: String, index: true },
+  targetType: String,
+  targetId: { type: String, index: true },
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], { document: true, query: true }, function(){
+  throw new Error('Audit log is append-only');
+});
+AuditLogSchema.pre('save', function(){
+  if(!this.isNew) throw new Error('Audit log is append-only');
+});
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+// Usage analytics events (see analytics.js). The category is copied from the game so reports
+// group without a lookup; raw events expire after ANALYTICS_RETENTION_DAYS.
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS,10) || 400;
+const AnalyticsEventSchema = new mongoose.Schema({
+  type: { type: String, enum: analytics.EVENT_TYPES },
+  gameId: mongoose.ObjectId,
+  category: String,
+  userId: { type: mongoose.ObjectId, index: true },
+  sessionId: mongoose.ObjectId,
+  durationMs: Number,
+  score: Number,
+  total: Number,
+  passed: Boolean,
+  createdAt: { type: Date, default: Date.now }
+});
+AnalyticsEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: ANALYTICS_RETENTION_DAYS * 24 * 3600 });
+AnalyticsEventSchema.index({ gameId: 1, createdAt: 1 });
+AnalyticsEventSchema.index({ category: 1, createdAt: 1 });
+const AnalyticsEvent = mongoose.model('AnalyticsEvent', AnalyticsEventSchema);
+
+// Refresh tokens: opaque random strings, stored hashed. Each use rotates the token within its
+// family (one login); presenting an already rotated token again revokes the whole family.
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.ObjectId, index: true },
+  family: { type: String, index: true },
+  tokenHash: { type: String, unique: true },
+  userAgent: String,
+  expiresAt: Date,
+  rotatedAt: Date,
+  revokedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+// Single-use tokens mailed to the user: email verification and password reset
+const ACCOUNT_TOKEN_PURPOSES = ['verify_email', 'reset_password'];
+const AccountTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.ObjectId, index: true },
+  purpose: { type: String, enum: ACCOUNT_TOKEN_PURPOSES },
+  tokenHash: { type: String, unique: true },
+  expiresAt: Date,
+  usedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const AccountToken = mongoose.model('AccountToken', AccountTokenSchema);
+
+// Idempotency keys of submissions (see idempotent()): the first successful response per user and key,
+// kept long enough to outlast an offline sync queue
+const IDEMPOTENCY_KEY_TTL_DAYS = 30;
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: mongoose.ObjectId,
+  key: String,
+  scope: String,
+  status: Number,
+  response: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_KEY_TTL_DAYS * 24 * 3600 });
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+
 // JWT
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_change_me';
-function createToken(user) { return jwt.sign({ id: user._id, role: user.role, email: user.email }, JWT_SECRET, { expiresIn: '7d' }); }
+const DEFAULT_JWT_SECRETS = ['dev_secret_change_me', 'replace_me_with_strong_secret'];
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRETS[0];
+if(process.env.NODE_ENV === 'production' && (DEFAULT_JWT_SECRETS.includes(JWT_SECRET) || JWT_SECRET.length < 32)){
+  console.error('Refusing to start: JWT_SECRET must be set to a random value of at least 32 characters in production');
+  process.exit(1);
+}
+// Access tokens are short-lived so role and premium changes take effect quickly; sessions are
+// kept alive with refresh tokens
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30*24*3600*1000;
+// A rotated token presented again within this window is a client race (two tabs), not theft
+const REFRESH_REUSE_GRACE_MS = 10*1000;
+function isPremiumActive(user){ return !!(user.isPremium && (!user.premiumUntil || user.premiumUntil > new Date())); }
+function createToken(user) { return jwt.sign({ type: 'access', id: user._id, role: user.role, email: user.email, isPremium: isPremiumActive(user), emailVerified: !!user.emailVerified }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }); }
+// Payload of a valid access token; game access and play session tokens share the secret but not the type
+function verifyAccessToken(token){
+  const payload = jwt.verify(token, JWT_SECRET);
+  if(payload.type !== 'access') throw new Error('Not an access token');
+  return payload;
+}
 function authMiddleware(req,res,next){
   const auth = req.headers.authorization?.split(' ')[1];
   if(!auth) return res.status(401).send({ error: 'Unauthorized' });
-  try { req.user = jwt.verify(auth, JWT_SECRET); next(); } catch(e){ res.status(401).send({ error: 'Invalid token' }); }
+  try { req.user = verifyAccessToken(auth); next(); } catch(e){ res.status(401).send({ error: 'Invalid token' }); }
+}
+// After authMiddleware: the caller's role must grant every listed permission
+function requirePermission(...permissions){
+  return (req,res,next) => {
+    if(!permissions.every(p => hasPermission(req.user.role, p))) return res.status(403).send({ error: 'Forbidden' });
+    next();
+  };
+}
+// Appends an admin action to the audit log; target is { type, id }. A failed write is logged, not
+// surfaced, since the action itself has already happened.
+async function audit(req, action, target = {}, details = {}){
+  try{
+    await AuditLog.create({
+      actorId: req.user.id, actorEmail: req.user.email, actorRole: req.user.role, action,
+      targetType: target.type, targetId: target.id !== undefined ? String(target.id) : undefined, details, ip: req.ip
+    });
+  } catch(e){ console.error('Audit log write failed', action, e); }
+}
+
+// Game access: locked games are open to admins, premium users, or holders of that game's unlock token
+function hasGameAccess(req, game){
+  if(!game || game.access !== 'locked') return true;
+  const auth = req.headers.authorization?.split(' ')[1];
+  if(auth){
+    try{ const p = verifyAccessToken(auth); if(hasPermission(p.role, 'games:play-locked') || p.isPremium) return true; } catch(e){}
+  }
+  const gameId = String(game._id);
+  const accessToken = req.headers['x-game-access'] || req.query?.access || req.cookies?.['game_access_' + gameId];
+  if(accessToken){
+    try{ const payload = jwt.verify(accessToken, JWT_SECRET); if(payload && payload.type === 'game_access' && payload.gameId === gameId) return true; } catch(e){}
+  }
+  return false;
+}
+// Loads req.game and rejects locked games the caller cannot open
+async function gameAccessMiddleware(req,res,next){
+  const g = await Game.findById(req.params.id).catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  if(!hasGameAccess(req, g)) return res.status(403).send({ error: 'Locked', locked: true });
+  req.game = g;
+  next();
+}
+// Listing shape: locked games the caller cannot open only expose their catalog fields
+function gameSummary(req, g){
+  // content in the caller's language (?lang= / Accept-Language), see i18n.js
+  const obj = i18n.localizeGame(g.toObject ? g.toObject() : g, i18n.requestLocales(req));
+  delete obj.unlockSecretHash;
+  delete obj.ratingSum;
+  // answers and explanations are only revealed in quiz results
+  if(obj.quizzes) obj.quizzes = obj.quizzes.map(({ _id, type, question, options }) => ({ _id, type: type || 'single', question, options }));
+  if(hasGameAccess(req, g)){
+    const bundleUrl = bundleAssetUrls(obj);
+    if(obj.lesson) obj.lesson = lessons.renderLesson(obj.lesson, { quizCount: obj.quizzes?.length || 0, resolveAsset: bundleUrl });
+    // locked bundles only load through a signed URL (an iframe cannot send the caller's token)
+    if(obj.access === 'locked' && obj.filePath?.startsWith('/games/files/')) obj.filePath = storage.signedUrl(obj.filePath.slice('/games/files/'.length), SIGNED_URL_TTL_SEC);
+    return { ...obj, locked: false };
+  }
+  const { _id, title, description, category, tags, access, plays, averageRating, ratingCount, createdAt, locale, locales } = obj;
+  return { _id, title, description, category, tags, access, plays, averageRating, ratingCount, createdAt, locale, locales, locked: true };
+}
+// Maps a path inside the game's bundle (e.g. a lesson image) to the URL it is served at; signed for
+// locked games like the bundle itself
+function bundleAssetUrls(obj){
+  const folder = folderFromFilePath(obj.filePath);
+  return rel => {
+    if(!folder) return null;
+    return obj.access === 'locked' ? storage.signedUrl(`${folder}/${rel}`, SIGNED_URL_TTL_SEC) : `/games/files/${folder}/${rel}`;
+  };
+}
+async function setUnlockSecret(game, secret){
+  game.unlockSecretHash = secret ? await bcrypt.hash(String(secret), 10) : undefined;
+}
+// Scoring rules from admin form fields or metadata.json; returns { scoring } or { error }
+function parseScoring(input){
+  if(!input) return { scoring: undefined };
+  const scoring = {};
+  for(const key of ['min', 'max', 'maxSubmitsPerHour']){
+    if(input[key] === undefined || input[key] === '') continue;
+    const n = Number(input[key]);
+    if(!isFinite(n)) return { error: `scoring.${key} must be a number` };
+    scoring[key] = n;
+  }
+  if(scoring.min !== undefined && scoring.max !== undefined && scoring.min > scoring.max) return { error: 'scoring.min must not exceed scoring.max' };
+  if(scoring.maxSubmitsPerHour !== undefined && (!Number.isInteger(scoring.maxSubmitsPerHour) || scoring.maxSubmitsPerHour < 1)) return { error: 'scoring.maxSubmitsPerHour must be a positive integer' };
+  return { scoring };
+}
+function escapeRegExp(s){ return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+// Account emails (see mailer.js); without SMTP_URL they are written to mail-outbox/ for development.
+// In production that would silently drop every verification and reset email, so it must be asked for.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? 'smtp' : 'file');
+if(process.env.NODE_ENV === 'production' && (MAIL_TRANSPORT === 'smtp' ? !process.env.SMTP_URL : !process.env.MAIL_TRANSPORT)){
+  console.error('Refusing to start: production needs SMTP_URL for account emails (or MAIL_TRANSPORT=file|console set explicitly)');
+  process.exit(1);
+}
+const mail = createMailTransport(MAIL_TRANSPORT, {
+  url: process.env.SMTP_URL,
+  from: process.env.MAIL_FROM || 'Learning Games <no-reply@localhost>',
+  dir: process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox')
+});
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const API_URL = process.env.API_URL || 'http://localhost:4000';
+const VERIFY_EMAIL_TTL_MS = 48*3600*1000;
+const RESET_PASSWORD_TTL_MS = 3600*1000;
+
+// Auth helpers
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+function normalizeEmail(email){ return typeof email === 'string' ? email.trim().toLowerCase() : ''; }
+// Emails are stored lowercased; older accounts may not be, so lookups ignore case
+function findUserByEmail(email){ return User.findOne({ email: new RegExp('^' + escapeRegExp(email) + '$', 'i') }); }
+function passwordProblem(password){
+  if(typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  if(password.length > 72) return 'Password must be at most 72 characters';
+  if(!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) return 'Password must contain letters and numbers';
+  return null;
+}
+function hashToken(token){ return crypto.createHash('sha256').update(String(token)).digest('hex'); }
+function randomToken(){ return crypto.randomBytes(32).toString('base64url'); }
+
+async function createRefreshToken(userId, family, userAgent){
+  const token = randomToken();
+  await RefreshToken.create({ userId, family, tokenHash: hashToken(token), userAgent: String(userAgent || '').slice(0, 200), expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS) });
+  return token;
+}
+// Login response: a short-lived access token plus a refresh token (new family unless rotating)
+async function sessionResponse(req, user, family = randomToken()){
+  return {
+    token: createToken(user), refreshToken: await createRefreshToken(user._id, family, req.headers['user-agent']),
+    role: user.role, isPremium: isPremiumActive(user), premiumUntil: user.premiumUntil, emailVerified: !!user.emailVerified
+  };
+}
+// Ends every session of a user (password change/reset, role change, deletion)
+function revokeUserSessions(userId){
+  return RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+}
+
+async function sendAccountEmail(user, purpose){
+  const token = randomToken();
+  const ttl = purpose === 'verify_email' ? VERIFY_EMAIL_TTL_MS : RESET_PASSWORD_TTL_MS;
+  // a new mail replaces any earlier unused link for the same purpose
+  await AccountToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await AccountToken.create({ userId: user._id, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttl) });
+  const messages = {
+    verify_email: {
+      subject: 'Confirm your email address',
+      text: `Welcome to Learning Games!\n\nConfirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\nThe link is valid for 48 hours.`
+    },
+    reset_password: {
+      subject: 'Reset your password',
+      text: `Someone asked to reset the password for this account.\n\nChoose a new password here:\n${APP_URL}/reset-password?token=${token}\n\nThe link is valid for one hour. If it wasn't you, ignore this email.`
+    }
+  };
+  await mail.send({ to: user.email, ...messages[purpose] });
+}
+// Marks a mailed token used and returns it, or null when unknown, used or expired
+function consumeAccountToken(token, purpose){
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }, { new: true }
+  );
 }
 
 // Auth
-app.post('/api/signup', async (req,res) => {
-  const { email, password } = req.body;
-  if(!email || !password) return res.status(400).send({ error: 'Missing' });
-  const existing = await User.findOne({ email });
+app.post('/api/signup', authLimiter, async (req,res) => {
+  const email = normalizeEmail(req.body.email);
+  const { password } = req.body;
+  if(!EMAIL_RE.test(email) || email.length > 254) return res.status(400).send({ error: 'Enter a valid email address' });
+  const problem = passwordProblem(password);
+  if(problem) return res.status(400).send({ error: problem });
+  const existing = await findUserByEmail(email);
   if(existing) return res.status(400).send({ error: 'User exists' });
   const passwordHash = await bcrypt.hash(password, 10);
   const user = await User.create({ email, passwordHash });
-  res.send({ token: createToken(user), role: user.role });
+  sendAccountEmail(user, 'verify_email').catch(e => console.error('Verification mail failed', e));
+  res.send(await sessionResponse(req, user));
 });
 
-app.post('/api/login', async (req,res) => {
-  const { email, password } = req.body;
-  const user = await User.findOne({ email });
+app.post('/api/login', authLimiter, async (req,res) => {
+  const email = normalizeEmail(req.body.email);
+  const { password } = req.body;
+  if(!email || typeof password !== 'string') return res.status(400).send({ error: 'Invalid credentials' });
+  const user = await findUserByEmail(email);
   if(!user) return res.status(400).send({ error: 'Invalid credentials' });
   const ok = await bcrypt.compare(password, user.passwordHash);
   if(!ok) return res.status(400).send({ error: 'Invalid credentials' });
-  res.send({ token: createToken(user), role: user.role });
+  res.send(await sessionResponse(req, user));
+});
+
+// Exchange a refresh token for a new access token and a new refresh token (the old one stops working).
+// The access token is rebuilt from the current user record, so role and premium changes show up here.
+app.post('/api/token/refresh', async (req,res) => {
+  const { refreshToken } = req.body;
+  if(typeof refreshToken !== 'string') return res.status(401).send({ error: 'Unauthorized' });
+  const now = new Date();
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { rotatedAt: now }
+  );
+  if(!current){
+    const used = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    // reuse of a rotated token means it leaked: end that login everywhere
+    if(used?.rotatedAt && now - used.rotatedAt > REFRESH_REUSE_GRACE_MS) await RefreshToken.updateMany({ family: used.family, revokedAt: null }, { revokedAt: now });
+    return res.status(401).send({ error: 'Session expired' });
+  }
+  const user = await User.findById(current.userId);
+  if(!user) return res.status(401).send({ error: 'Unauthorized' });
+  res.send(await sessionResponse(req, user, current.family));
+});
+
+// Logout: revokes the login the refresh token belongs to; ?all=true (with an access token) ends every session
+app.post('/api/logout', async (req,res) => {
+  if(req.query.all === 'true'){
+    const auth = req.headers.authorization?.split(' ')[1];
+    let userId;
+    try{ userId = verifyAccessToken(auth).id; } catch(e){ return res.status(401).send({ error: 'Unauthorized' }); }
+    await revokeUserSessions(userId);
+    return res.send({ ok: true });
+  }
+  const { refreshToken } = req.body;
+  const t = typeof refreshToken === 'string' && await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if(t) await RefreshToken.updateMany({ family: t.family, revokedAt: null }, { revokedAt: new Date() });
+  res.send({ ok: true });
+});
+
+app.get('/api/me', authMiddleware, async (req,res) => {
+  const user = await User.findById(req.user.id);
+  if(!user) return res.status(404).send({ error: 'Not found' });
+  res.send({ id: user._id, email: user.email, role: user.role, permissions: permissionsFor(user.role), emailVerified: !!user.emailVerified, isPremium: isPremiumActive(user), premiumUntil: user.premiumUntil, analyticsPrivacy: user.analyticsPrivacy || 'full' });
+});
+
+// Usage statistics preference (see analytics.js). Leaving 'full' also unlinks past events from the account.
+app.put('/api/me/privacy', authMiddleware, async (req,res) => {
+  const { analyticsPrivacy } = req.body;
+  if(!analytics.PRIVACY_LEVELS.includes(analyticsPrivacy)) return res.status(400).send({ error: `analyticsPrivacy must be one of ${analytics.PRIVACY_LEVELS.join(', ')}` });
+  const user = await User.findByIdAndUpdate(req.user.id, { analyticsPrivacy }, { new: true });
+  if(!user) return res.status(404).send({ error: 'Not found' });
+  if(analyticsPrivacy !== 'full') await AnalyticsEvent.updateMany({ userId: user._id }, { $unset: { userId: 1 } });
+  res.send({ analyticsPrivacy: user.analyticsPrivacy });
+});
+
+// Change password: ends every other session and returns a fresh one
+app.post('/api/me/password', authLimiter, authMiddleware, async (req,res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.id);
+  if(!user) return res.status(404).send({ error: 'Not found' });
+  if(typeof currentPassword !== 'string' || !await bcrypt.compare(currentPassword, user.passwordHash)) return res.status(400).send({ error: 'Current password is wrong' });
+  const problem = passwordProblem(newPassword);
+  if(problem) return res.status(400).send({ error: problem });
+  user.passwordHash = await bcrypt.hash(newPassword, 10);
+  await user.save();
+  await revokeUserSessions(user._id);
+  res.send(await sessionResponse(req, user));
+});
+
+// Password reset: always answers ok so the endpoint cannot be used to find accounts
+app.post('/api/password/forgot', authLimiter, async (req,res) => {
+  const email = normalizeEmail(req.body.email);
+  const user = EMAIL_RE.test(email) && await findUserByEmail(email);
+  if(user) sendAccountEmail(user, 'reset_password').catch(e => console.error('Reset mail failed', e));
+  res.send({ ok: true });
+});
+
+app.post('/api/password/reset', authLimiter, async (req,res) => {
+  const { token, password } = req.body;
+  const problem = passwordProblem(password);
+  if(problem) return res.status(400).send({ error: problem });
+  const t = typeof token === 'string' && await consumeAccountToken(token, 'reset_password');
+  if(!t) return res.status(400).send({ error: 'This reset link is invalid or has expired' });
+  const user = await User.findById(t.userId);
+  if(!user) return res.status(400).send({ error: 'This reset link is invalid or has expired' });
+  user.passwordHash = await bcrypt.hash(password, 10);
+  // the link arrived by email, which proves the address
+  user.emailVerified = true;
+  await user.save();
+  await revokeUserSessions(user._id);
+  res.send({ ok: true });
+});
+
+// Email verification
+app.post('/api/email/verify', async (req,res) => {
+  const t = typeof req.body.token === 'string' && await consumeAccountToken(req.body.token, 'verify_email');
+  if(!t) return res.status(400).send({ error: 'This verification link is invalid or has expired' });
+  await User.updateOne({ _id: t.userId }, { emailVerified: true });
+  res.send({ ok: true });
 });
 
-// Serve uploaded game files (if not using S3)
-if(!USE_S3){
-  app.use('/games/files', express.static(uploadDir));
+app.post('/api/email/verify/resend', authLimiter, authMiddleware, async (req,res) => {
+  const user = await User.findById(req.user.id);
+  if(!user) return res.status(404).send({ error: 'Not found' });
+  if(user.emailVerified) return res.send({ ok: true, emailVerified: true });
+  await sendAccountEmail(user, 'verify_email');
+  res.send({ ok: true });
+});
+
+// Premium subscriptions (see payments.js for the provider interface)
+// Null when PAYMENT_PROVIDER and STRIPE_SECRET are both unset: premium can't be bought then
+const payments = createPaymentProvider(undefined, { baseUrl: API_URL, webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || undefined });
+if(process.env.NODE_ENV === 'production' && payments && (payments.name === 'local' || !process.env.STRIPE_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET === 'whsec_local')){
+  console.error('Refusing to start: production needs the stripe payment provider and a real STRIPE_WEBHOOK_SECRET');
+  process.exit(1);
 }
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
 
-// Public: search + list
+// Mirrors a subscription's state onto its user
+async function syncPremium(sub){
+  const user = await User.findById(sub.userId);
+  if(!user) return;
+  user.isPremium = ACTIVE_SUBSCRIPTION_STATUSES.includes(sub.status);
+  user.premiumUntil = sub.currentPeriodEnd;
+  await user.save();
+}
+
+async function handlePaymentEvent(event){
+  const obj = event.data?.object || {};
+  if(event.type === 'checkout.session.completed'){
+    if(!obj.subscription) return;
+    const remote = await payments.getSubscription(obj.subscription);
+    const sub = await Subscription.findOne({ checkoutSessionId: obj.id }) || new Subscription({ userId: obj.client_reference_id, provider: payments.name, checkoutSessionId: obj.id });
+    Object.assign(sub, { customerId: remote.customerId, subscriptionId: remote.id, status: remote.status, currentPeriodEnd: remote.currentPeriodEnd, updatedAt: new Date() });
+    await sub.save();
+    await syncPremium(sub);
+  } else if(event.type === 'customer.subscription.updated' || event.type === 'customer.subscription.deleted'){
+    const sub = await Subscription.findOne({ subscriptionId: obj.id });
+    if(!sub) return;
+    sub.status = event.type === 'customer.subscription.deleted' ? 'canceled' : obj.status;
+    if(obj.current_period_end) sub.currentPeriodEnd = new Date(obj.current_period_end*1000);
+    sub.updatedAt = new Date();
+    await sub.save();
+    await syncPremium(sub);
+  }
+}
+
+app.post('/api/stripe/create-checkout-session', authMiddleware, async (req,res) => {
+  if(!payments) return res.status(503).send({ error: 'Payments are not configured' });
+  const user = await User.findById(req.user.id);
+  if(!user) return res.status(401).send({ error: 'Unauthorized' });
+  try{
+    const session = await payments.createCheckoutSession({ userId: user._id, email: user.email, successUrl: APP_URL + '/?checkout=success', cancelUrl: APP_URL + '/?checkout=cancel' });
+    await Subscription.create({ userId: user._id, provider: payments.name, checkoutSessionId: session.id });
+    res.send({ id: session.id, url: session.url });
+  } catch(e){
+    console.error(e);
+    res.status(502).send({ error: 'Failed creating checkout session' });
+  }
+});
+
+app.post('/api/stripe/webhook', async (req,res) => {
+  if(!payments) return res.status(503).send({ error: 'Payments are not configured' });
+  let event;
+  try{ event = payments.verifyWebhook(req.rawBody, req.headers['stripe-signature']); }
+  catch(e){ return res.status(400).send({ error: 'Invalid signature' }); }
+  try{
+    await handlePaymentEvent(event);
+    res.send({ received: true });
+  } catch(e){
+    console.error(e);
+    res.status(500).send({ error: 'Failed handling event' });
+  }
+});
+
+app.get('/api/me/subscription', authMiddleware, async (req,res) => {
+  const user = await User.findById(req.user.id);
+  if(!user) return res.status(401).send({ error: 'Unauthorized' });
+  const subscription = await Subscription.findOne({ userId: user._id, subscriptionId: { $exists: true } }).sort({ updatedAt: -1 });
+  res.send({ isPremium: isPremiumActive(user), premiumUntil: user.premiumUntil, subscription });
+});
+
+// Local provider only: stands in for the hosted checkout page. "Paying" delivers the signed
+// webhook event to our own webhook route and sends the browser back to the app.
+if(payments?.name === 'local'){
+  app.get('/api/stripe/local/checkout/:id', async (req,res) => {
+    const session = payments.getSession(req.params.id);
+    if(!session) return res.status(404).send({ error: 'Not found' });
+    if(req.query.cancel) return res.redirect(session.cancelUrl);
+    const { payload, signature } = payments.completeCheckout(session.id);
+    try{ await handlePaymentEvent(payments.verifyWebhook(payload, signature)); }
+    catch(e){ console.error(e); return res.status(500).send({ error: 'Failed handling event' }); }
+    res.redirect(session.successUrl);
+  });
+}
+
+// Game SDK for uploaded games (see public/game-sdk.js)
+app.use('/sdk', express.static(path.join(__dirname, 'public')));
+
+// Serve uploaded game files from storage. Only folders referenced by a game (current or earlier
+// version) are served, and those of a locked game are gated. A valid ?access= token or signed URL
+// (?expires=&sig=) on the entry page is remembered in a cookie scoped to that game's folder so the
+// bundle's relative assets load too.
+async function gameFilesAccess(req,res,next){
+  let seg, rel;
+  try{
+    seg = decodeURIComponent(req.path.split('/')[1] || '');
+    rel = decodeURIComponent(req.path.split('/').slice(2).join('/'));
+  } catch(e){ return res.status(400).end(); }
+  if(!seg) return res.status(404).end();
+  // bulk uploads from before ingest.js left metadata.json out still have it, answer keys included
+  if(rel === 'metadata.json') return res.status(404).end();
+  const base = '/games/files/' + seg;
+  let g;
+  try{
+    g = await Game.findOne({ storageFolder: seg });
+    if(!g){
+      const v = await GameVersion.findOne({ storageFolder: seg });
+      g = v && await Game.findById(v.gameId);
+    }
+  } catch(e){ return next(e); }
+  if(!g) return res.status(404).end();
+  if(g.access !== 'locked') return next();
+  const cookieOpts = { httpOnly: true, sameSite: 'lax', path: base };
+  if(storage.verifySignature(seg, req.query.expires, req.query.sig)){
+    const ttl = parseInt(req.query.expires,10) - Math.floor(Date.now()/1000);
+    const token = jwt.sign({ type: 'game_access', gameId: String(g._id) }, JWT_SECRET, { expiresIn: ttl });
+    res.cookie('game_access_' + g._id, token, { ...cookieOpts, maxAge: ttl*1000 });
+    return next();
+  }
+  if(!hasGameAccess(req, g)) return res.status(403).send({ error: 'Locked', locked: true });
+  if(req.query.access) res.cookie('game_access_' + g._id, req.query.access, { ...cookieOpts, maxAge: 7*24*3600*1000 });
+  next();
+}
+app.use('/games/files', gameFilesAccess, storage.serve());
+
+// Game content is localized per request (see gameSummary)
+app.use('/api/games', (req,res,next) => { res.vary('Accept-Language'); next(); });
+
+// Public: search + list. ?q= is a $text search (no user-built regexes); ?category= and ?tag= (repeatable)
+// filter; ?sort=relevance|newest|top-rated|most-played. Facet counts for each filter ignore that
+// filter's own selection so the UI can offer the alternatives.
+const SEARCH_SORTS = {
+  relevance: { relevance: -1, createdAt: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  'top-rated': { averageRating: -1, ratingCount: -1, _id: -1 },
+  'most-played': { plays: -1, _id: -1 }
+};
+const MAX_SEARCH_QUERY_LENGTH = 100;
 app.get('/api/games', async (req,res) => {
-  const { q, tag, category, page=1, limit=30 } = req.query;
-  const filter = {};
-  if(tag) filter.tags = tag;
-  if(category) filter.category = category;
-  if(q) filter.$or = [{ title: new RegExp(q,'i') }, { description: new RegExp(q,'i') }, { 'lesson.content': new RegExp(q,'i') }];
-  const games = await Game.find(filter).skip((page-1)*limit).limit(parseInt(limit)).sort({ createdAt: -1 });
-  res.send(games);
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, MAX_SEARCH_QUERY_LENGTH) : '';
+  const category = typeof req.query.category === 'string' ? req.query.category : '';
+  const tags = [].concat(req.query.tag || []).filter(t => typeof t === 'string' && t);
+  const page = Math.max(1, parseInt(req.query.page,10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit,10) || 30));
+  const sortKey = req.query.sort || (q ? 'relevance' : 'newest');
+  if(typeof sortKey !== 'string' || !Object.hasOwn(SEARCH_SORTS, sortKey) || (sortKey === 'relevance' && !q)) return res.status(400).send({ error: 'Invalid sort' });
+
+  // every filter goes into the leading $match so the text, category and tags indexes are used; each
+  // facet drops its own filter and is counted separately
+  const textFilter = q ? { $text: { $search: q } } : {};
+  const categoryFilter = category ? { category } : {};
+  const tagFilter = tags.length ? { tags: { $all: tags } } : {};
+  const match = { ...textFilter, ...categoryFilter, ...tagFilter };
+  const countBy = field => [{ $group: { _id: '$' + field, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }];
+  let items, total, categories, tagCounts;
+  try{
+    [items, total, categories, tagCounts] = await Promise.all([
+      Game.aggregate([
+        { $match: match },
+        { $addFields: { relevance: q ? { $meta: 'textScore' } : 0 } },
+        { $sort: SEARCH_SORTS[sortKey] }, { $skip: (page-1)*limit }, { $limit: limit },
+        { $project: { unlockSecretHash: 0, comments: 0, ratings: 0 } }
+      ]),
+      Game.countDocuments(match),
+      Game.aggregate([{ $match: { ...textFilter, ...tagFilter } }, ...countBy('category')]),
+      Game.aggregate([{ $match: { ...textFilter, ...categoryFilter } }, { $unwind: '$tags' }, ...countBy('tags'), { $limit: 50 }])
+    ]);
+  } catch(e){ console.error(e); return res.status(500).send({ error: 'Search failed' }); }
+  const facet = list => list.filter(f => f._id).map(f => ({ value: f._id, count: f.count }));
+  res.send({
+    items: items.map(g => gameSummary(req, g)),
+    total, page, limit, pages: Math.ceil(total/limit), sort: sortKey,
+    facets: { categories: facet(categories), tags: facet(tagCounts) }
+  });
 });
 
-app.get('/api/games/:id', async (req,res) => {
-  const g = await Game.findById(req.params.id);
-  if(!g) return res.status(404).send({ error: 'Not found' });
-  res.send(g);
+// Records an analytics event for game g at the level the user's privacy preference and browser
+// allow. Never throws: callers fire and forget.
+async function track(req, type, g, fields = {}){
+  try{
+    const userId = req.user?.id || optionalUserId(req);
+    const user = userId ? await User.findById(userId).select('analyticsPrivacy') : null;
+    const level = analytics.privacyLevel(user?.analyticsPrivacy, req.headers);
+    if(level === 'off') return;
+    await AnalyticsEvent.create({ type, gameId: g._id, category: g.category || '', userId: level === 'full' && user ? user._id : undefined, ...fields });
+  } catch(e){ console.error('Analytics event failed', type, e); }
+}
+
+app.get('/api/games/:id', gameAccessMiddleware, async (req,res) => {
+  track(req, 'game_open', req.game);
+  res.send(gameSummary(req, req.game));
+});
+
+// Offline download: every file of the game's bundle (lesson images included) at the URL it is served
+// at, signed for locked games. The frontend caches them for its service worker.
+app.get('/api/games/:id/offline-manifest', gameAccessMiddleware, async (req,res) => {
+  const g = req.game;
+  const folder = folderFromFilePath(g.filePath);
+  if(!folder || !g.filePath.startsWith('/games/files/')) return res.status(400).send({ error: 'Game has no stored bundle' });
+  let files;
+  try{ files = await storage.files(folder); }
+  catch(e){ console.error(e); return res.status(500).send({ error: 'Failed listing game files' }); }
+  // single-file uploads from before bundles had folders list nothing
+  if(!files.length) return res.status(400).send({ error: 'Game has no stored bundle' });
+  const url = bundleAssetUrls(g);
+  res.send({ gameId: g._id, version: g.version || 0, files: files.map(rel => url(rel.split('/').map(encodeURIComponent).join('/'))) });
 });
 
+// Quiz ingest: checks each question against its type and keeps only the fields that type uses.
+// Returns { quizzes, errors } with errors like "quizzes[2]: ...".
+const MAX_QUIZ_ANSWER_LENGTH = 200;
+function validateQuizzes(input){
+  const errors = [];
+  if(input === undefined || input === null) return { quizzes: [], errors };
+  if(!Array.isArray(input)) return { quizzes: [], errors: ['quizzes must be an array'] };
+  const isIndexList = (list, n) => Array.isArray(list) && list.every(i => Number.isInteger(i) && i >= 0 && i < n);
+  const quizzes = input.map((q, i) => {
+    const err = msg => errors.push(`quizzes[${i}]: ${msg}`);
+    if(!q || typeof q !== 'object') return err('must be an object');
+    const type = q.type || 'single';
+    if(!QUIZ_TYPES.includes(type)) return err(`unknown type '${type}'`);
+    if(typeof q.question !== 'string' || !q.question.trim()) err('question is required');
+    const out = { type, question: q.question, explanation: typeof q.explanation === 'string' ? q.explanation : undefined };
+    const options = q.options;
+    const needsOptions = ['single', 'multi', 'ordering'].includes(type);
+    if(needsOptions){
+      if(!Array.isArray(options) || options.length < 2 || !options.every(o => typeof o === 'string')) err('options must be at least two strings');
+      else out.options = options;
+    }
+    const n = Array.isArray(options) ? options.length : 0;
+    if(type === 'single'){
+      if(!isIndexList([q.answerIndex], n)) err('answerIndex must point at an option');
+      else out.answerIndex = q.answerIndex;
+    } else if(type === 'multi'){
+      if(!isIndexList(q.answerIndexes, n) || !q.answerIndexes.length || new Set(q.answerIndexes).size !== q.answerIndexes.length) err('answerIndexes must be distinct option indexes');
+      else out.answerIndexes = q.answerIndexes;
+    } else if(type === 'ordering'){
+      if(!isIndexList(q.correctOrder, n) || q.correctOrder.length !== n || new Set(q.correctOrder).size !== n) err('correctOrder must list every option index once');
+      else out.correctOrder = q.correctOrder;
+    } else if(type === 'text'){
+      const matchMode = q.matchMode || 'normalized';
+      if(!['normalized', 'regex'].includes(matchMode)) err(`unknown matchMode '${matchMode}'`);
+      if(!Array.isArray(q.acceptedAnswers) || !q.acceptedAnswers.length || !q.acceptedAnswers.every(a => typeof a === 'string' && a)) err('acceptedAnswers must be non-empty strings');
+      const partialAnswers = q.partialAnswers || [];
+      if(!Array.isArray(partialAnswers) || !partialAnswers.every(p => p && typeof p.answer === 'string' && p.answer && typeof p.credit === 'number' && p.credit > 0 && p.credit < 1)) err('partialAnswers must be { answer, credit } with 0 < credit < 1');
+      if(matchMode === 'regex'){
+        [...(q.acceptedAnswers || []), ...(Array.isArray(partialAnswers) ? partialAnswers.map(p => p && p.answer) : [])].forEach(pattern => {
+          try{ new RegExp(pattern); } catch(e){ err(`invalid regex '${pattern}'`); }
+        });
+      }
+      Object.assign(out, { acceptedAnswers: q.acceptedAnswers, partialAnswers, matchMode });
+    } else if(type === 'numeric'){
+      const tolerance = q.tolerance ?? 0;
+      if(typeof q.answerNumber !== 'number' || !isFinite(q.answerNumber)) err('answerNumber must be a number');
+      if(typeof tolerance !== 'number' || tolerance < 0) err('tolerance must be a non-negative number');
+      if(q.partialTolerance !== undefined && (typeof q.partialTolerance !== 'number' || q.partialTolerance <= tolerance)) err('partialTolerance must be greater than tolerance');
+      Object.assign(out, { answerNumber: q.answerNumber, tolerance, partialTolerance: q.partialTolerance });
+    }
+    return out;
+  });
+  return { quizzes, errors };
+}
+
+function normalizeText(s){ return String(s).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim(); }
+function matchesText(q, pattern, answer){
+  if(q.matchMode === 'regex') return new RegExp(pattern, 'i').test(answer);
+  return normalizeText(pattern) === normalizeText(answer);
+}
+
+// Credit in [0, 1] for one answer
+function gradeQuestion(q, answer){
+  switch(q.type || 'single'){
+    case 'multi': {
+      if(!Array.isArray(answer)) return 0;
+      const picked = new Set(answer);
+      const right = q.answerIndexes.filter(i => picked.has(i)).length;
+      const wrong = [...picked].filter(i => !q.answerIndexes.includes(i)).length;
+      return Math.max(0, (right - wrong) / q.answerIndexes.length);
+    }
+    case 'text': {
+      if(typeof answer !== 'string' || !answer.trim() || answer.length > MAX_QUIZ_ANSWER_LENGTH) return 0;
+      if(q.acceptedAnswers.some(a => matchesText(q, a, answer))) return 1;
+      const partial = (q.partialAnswers || []).filter(p => matchesText(q, p.answer, answer)).map(p => p.credit);
+      return partial.length ? Math.max(...partial) : 0;
+    }
+    case 'ordering': {
+      if(!Array.isArray(answer)) return 0;
+      return q.correctOrder.filter((idx, pos) => answer[pos] === idx).length / q.correctOrder.length;
+    }
+    case 'numeric': {
+      const n = typeof answer === 'string' && answer.trim() ? Number(answer) : answer;
+      if(typeof n !== 'number' || !isFinite(n)) return 0;
+      const diff = Math.abs(n - q.answerNumber), tolerance = q.tolerance || 0;
+      if(diff <= tolerance) return 1;
+      if(q.partialTolerance && diff < q.partialTolerance) return (q.partialTolerance - diff) / (q.partialTolerance - tolerance);
+      return 0;
+    }
+    default:
+      return answer === q.answerIndex ? 1 : 0;
+  }
+}
+
+// Human-readable correct answer shown with the results
+function correctAnswerText(q){
+  switch(q.type || 'single'){
+    case 'multi': return q.answerIndexes.map(i => q.options[i]).join(', ');
+    case 'text': return q.matchMode === 'regex' ? '' : q.acceptedAnswers[0];
+    case 'ordering': return q.correctOrder.map(i => q.options[i]).join(' → ');
+    case 'numeric': return q.tolerance ? `${q.answerNumber} ± ${q.tolerance}` : String(q.answerNumber);
+    default: return q.options[q.answerIndex];
+  }
+}
+
+// Quiz grading: per-question credit (partial where the type allows) plus the answer and explanation to show the learner.
+// `shown` are the same questions in the learner's language, for the feedback.
+function gradeQuiz(quizzes, answers, shown = quizzes){
+  const results = quizzes.map((q,i) => {
+    const credit = Math.round(gradeQuestion(q, answers[i]) * 100) / 100;
+    return { correct: credit === 1, credit, correctAnswer: correctAnswerText(shown[i]), explanation: shown[i].explanation || '' };
+  });
+  const score = Math.round(results.reduce((sum, r) => sum + r.credit, 0) * 100) / 100;
+  return { score, total: quizzes.length, results };
+}
+
+/**
+ * Idempotency-Key header on submissions, so a client retrying (e.g. an offline queue syncing) cannot
+ * record the same result twice. The first successful response is stored per user and key and sent
+ * again, marked Idempotent-Replayed, for any repeat; failed requests leave no trace and may be
+ * retried with the same key. Requests without the header are handled as usual.
+ */
+const IDEMPOTENCY_KEY_RE = /^[\w-]{8,100}$/;
+function idempotent(name){
+  return async (req,res,next) => {
+    const key = req.get('Idempotency-Key');
+    if(key === undefined) return next();
+    if(!IDEMPOTENCY_KEY_RE.test(key)) return res.status(400).send({ error: 'Invalid Idempotency-Key' });
+    const scope = `${name}:${req.params.id}`;
+    let record;
+    try{ record = await IdempotencyKey.create({ userId: req.user.id, key, scope }); }
+    catch(e){
+      let existing;
+      try{
+        if(e.code !== 11000) throw e;
+        existing = await IdempotencyKey.findOne({ userId: req.user.id, key });
+      } catch(err){ console.error(err); return res.status(500).send({ error: 'Failed checking Idempotency-Key' }); }
+      if(!existing) return res.status(409).send({ error: 'Request with this Idempotency-Key is in progress' });
+      if(existing.scope !== scope) return res.status(422).send({ error: 'Idempotency-Key was used for a different request' });
+      if(!existing.completedAt) return res.status(409).send({ error: 'Request with this Idempotency-Key is in progress' });
+      return res.set('Idempotent-Replayed', 'true').status(existing.status).send(existing.response);
+    }
+    const send = res.send.bind(res);
+    res.send = body => {
+      res.send = send;
+      const ok = res.statusCode >= 200 && res.statusCode < 300;
+      (ok ? IdempotencyKey.updateOne({ _id: record._id }, { status: res.statusCode, response: body, completedAt: new Date() }) : IdempotencyKey.deleteOne({ _id: record._id }))
+        .catch(e => console.error('Idempotency key update failed', e))
+        .then(() => send(body));
+      return res;
+    };
+    next();
+  };
+}
+
 // Quiz submission
-app.post('/api/games/:id/quiz', async (req,res) => {
+app.post('/api/games/:id/quiz', authMiddleware, gameAccessMiddleware, idempotent('quiz'), async (req,res) => {
   const { answers } = req.body;
-  const g = await Game.findById(req.params.id);
-  if(!g) return res.status(404).send({ error: 'Not found' });
-  let score = 0;
-  g.quizzes.forEach((q,i)=>{ if(answers[i] === q.answerIndex) score++; });
-  res.send({ score, total: g.quizzes.length });
+  const g = req.game;
+  if(!Array.isArray(answers) || answers.length > g.quizzes.length) return res.status(400).send({ error: 'Invalid answers' });
+  const obj = g.toObject();
+  const { score, total, results } = gradeQuiz(i18n.gradingQuizzes(obj), answers, i18n.localizeGame(obj, i18n.requestLocales(req)).quizzes);
+  const attempt = await Attempt.create({ userId: req.user.id, gameId: g._id, answers, results: results.map(r => ({ correct: r.correct, credit: r.credit })), score, total });
+  track(req, 'quiz_submit', g, { score, total, passed: total > 0 && score / total >= QUIZ_PASS_RATIO });
+  res.send({ attemptId: attempt._id, score, total, results });
 });
 
-// Ratings
-app.post('/api/games/:id/rate', authMiddleware, async (req,res) => {
-  const { score } = req.body;
-  const g = await Game.findById(req.params.id);
-  if(!g) return res.status(404).send({ error: 'Not found' });
-  g.ratings = g.ratings.filter(r => String(r.userId) !== String(req.user.id));
-  g.ratings.push({ userId: req.user.id, score });
-  await g.save();
-  res.send({ ok: true, average: g.ratings.reduce((s,x)=>s+x.score,0)/g.ratings.length });
+// Lesson checkpoints: grades the listed questions for practice between lesson sections. Nothing is
+// recorded; the quiz itself still counts.
+app.post('/api/games/:id/checkpoint', gameAccessMiddleware, async (req,res) => {
+  const { questions, answers } = req.body;
+  const g = req.game;
+  if(!Array.isArray(questions) || !Array.isArray(answers) || questions.length !== answers.length || !questions.length) return res.status(400).send({ error: 'Invalid answers' });
+  if(!questions.every(i => Number.isInteger(i) && i >= 0 && i < g.quizzes.length)) return res.status(400).send({ error: 'Unknown question' });
+  const obj = g.toObject();
+  const grading = i18n.gradingQuizzes(obj), shown = i18n.localizeGame(obj, i18n.requestLocales(req)).quizzes;
+  const results = questions.map((i, n) => {
+    const credit = Math.round(gradeQuestion(grading[i], answers[n]) * 100) / 100;
+    return { question: i, correct: credit === 1, credit, correctAnswer: correctAnswerText(shown[i]), explanation: shown[i].explanation || '' };
+  });
+  res.send({ results });
+});
+
+// Learner progress: best score per game, completed lessons and attempt history (optionally for one game)
+app.get('/api/me/progress', authMiddleware, async (req,res) => {
+  const userId = new mongoose.Types.ObjectId(req.user.id);
+  const match = { userId };
+  if(req.query.gameId){
+    if(!mongoose.isValidObjectId(req.query.gameId)) return res.status(400).send({ error: 'Invalid gameId' });
+    match.gameId = new mongoose.Types.ObjectId(req.query.gameId);
+  }
+  const perGame = await Attempt.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$gameId', attempts: { $sum: 1 }, bestScore: { $max: '$score' }, total: { $first: '$total' }, lastAttemptAt: { $first: '$createdAt' } } }
+  ]);
+  const games = await Game.find({ _id: { $in: perGame.map(p => p._id) } }).select('title lesson.title');
+  const byId = Object.fromEntries(games.map(g => [String(g._id), g]));
+  const progress = perGame.map(p => ({
+    gameId: p._id, title: byId[String(p._id)]?.title || '', lessonTitle: byId[String(p._id)]?.lesson?.title || '',
+    attempts: p.attempts, bestScore: p.bestScore, total: p.total, lastAttemptAt: p.lastAttemptAt,
+    completed: p.total > 0 && p.bestScore / p.total >= QUIZ_PASS_RATIO
+  })).sort((a,b) => b.lastAttemptAt - a.lastAttemptAt);
+  const history = await Attempt.find(match).sort({ createdAt: -1 }).limit(50).select('gameId score total results createdAt');
+  res.send({ games: progress, completedLessons: progress.filter(p => p.completed), attempts: history });
+});
+
+// Ratings: the game's sum and count move by the difference a write makes, so the average never
+// needs a scan. sumDelta / countDelta are applied in one update that also recomputes the average.
+async function applyRatingChange(gameId, sumDelta, countDelta){
+  await Game.updateOne({ _id: gameId }, [
+    { $set: { ratingSum: { $add: [{ $ifNull: ['$ratingSum', 0] }, sumDelta] }, ratingCount: { $add: [{ $ifNull: ['$ratingCount', 0] }, countDelta] } } },
+    { $set: { averageRating: { $cond: [{ $gt: ['$ratingCount', 0] }, { $round: [{ $divide: ['$ratingSum', '$ratingCount'] }, 2] }, 0] } } }
+  ]);
+  return Game.findById(gameId).select('averageRating ratingCount');
+}
+const ratingResponse = (g, score) => ({ ok: true, score, averageRating: g.averageRating, ratingCount: g.ratingCount });
+
+app.post('/api/games/:id/rate', authMiddleware, gameAccessMiddleware, async (req,res) => {
+  const score = req.body.score;
+  if(!Number.isInteger(score) || score < RATING_MIN || score > RATING_MAX) return res.status(400).send({ error: `score must be a whole number from ${RATING_MIN} to ${RATING_MAX}` });
+  // the previous document tells how much the write moved the sum, and whether it added a rating
+  const previous = await Rating.findOneAndUpdate(
+    { gameId: req.game._id, userId: req.user.id },
+    { score, updatedAt: new Date(), $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, new: false }
+  );
+  const g = await applyRatingChange(req.game._id, score - (previous?.score || 0), previous ? 0 : 1);
+  res.send(ratingResponse(g, score));
+});
+
+app.delete('/api/games/:id/rate', authMiddleware, async (req,res) => {
+  const removed = await Rating.findOneAndDelete({ gameId: req.params.id, userId: req.user.id }).catch(()=>null);
+  if(!removed) return res.status(404).send({ error: 'Not rated' });
+  const g = await applyRatingChange(removed.gameId, -removed.score, -1);
+  res.send(ratingResponse(g || {}, null));
+});
+
+// The caller's ratings, newest first, with the games they belong to
+app.get('/api/me/ratings', authMiddleware, async (req,res) => {
+  const ratings = await Rating.find({ userId: req.user.id }).sort({ updatedAt: -1 }).limit(200);
+  const games = new Map((await Game.find({ _id: { $in: ratings.map(r => r.gameId) } })).map(g => [String(g._id), g]));
+  res.send(ratings.filter(r => games.has(String(r.gameId))).map(r => ({ score: r.score, ratedAt: r.updatedAt, game: gameSummary(req, games.get(String(r.gameId))) })));
 });
 
 // Comments (moderated)
-app.post('/api/games/:id/comment', authMiddleware, async (req,res) => {
-  const { text } = req.body;
-  const g = await Game.findById(req.params.id);
-  if(!g) return res.status(404).send({ error: 'Not found' });
-  g.comments.push({ userId: req.user.id, userEmail: req.user.email, text, approved: false });
-  await g.save();
-  res.send({ ok: true });
+function commentText(body){
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  return text && text.length <= COMMENT_MAX_LENGTH ? text : null;
+}
+// Runs the moderation pipeline for a user's new or edited comment text
+const COMMENT_RECENT_MS = 24*3600*1000;
+async function moderateCommentText(userId, text, excludeId){
+  const [recent, approved, rejected] = await Promise.all([
+    Comment.find({ userId, _id: { $ne: excludeId }, createdAt: { $gte: new Date(Date.now() - COMMENT_RECENT_MS) } }).select('text createdAt'),
+    Comment.countDocuments({ userId, status: 'approved' }),
+    Comment.countDocuments({ userId, status: 'rejected' })
+  ]);
+  const accountAgeDays = (Date.now() - new mongoose.Types.ObjectId(userId).getTimestamp()) / (24*3600*1000);
+  const trust = moderation.trustScore({ approved, rejected, accountAgeDays });
+  const result = await moderateComment(text, { recent, trust: { score: trust, approved, rejected, accountAgeDays } });
+  return { status: result.status, moderation: { status: result.status, verdicts: result.verdicts, trust, at: new Date() } };
+}
+// Rejected comments are kept for moderators; the author is told why
+function sendCommentRejected(res, decision){
+  res.status(422).send({ error: 'Comment not posted', reasons: decision.moderation.verdicts.filter(v => v.action === 'reject').map(v => v.reason) });
+}
+
+// Public shape: no emails or reports; callers see the status of their own comments only
+function commentView(c, userId){
+  const mine = !!userId && String(c.userId) === String(userId);
+  return {
+    _id: c._id, parentId: c.parentId, name: c.deletedAt ? null : (c.userEmail || '').split('@')[0],
+    text: c.deletedAt ? '' : c.text, deleted: !!c.deletedAt, createdAt: c.createdAt, editedAt: c.editedAt,
+    mine, ...(mine ? { status: c.status } : {})
+  };
+}
+
+// Paginated top-level comments (newest first), each with its replies (oldest first).
+// Approved comments only, plus the caller's own pending ones.
+app.get('/api/games/:id/comments', gameAccessMiddleware, async (req,res) => {
+  const page = Math.max(1, parseInt(req.query.page,10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit,10) || 20));
+  const userId = optionalUserId(req);
+  const visible = userId ? { $or: [{ status: 'approved' }, { userId, status: 'pending' }] } : { status: 'approved' };
+  const filter = { gameId: req.game._id, rootId: null, ...visible };
+  const [total, roots] = await Promise.all([
+    Comment.countDocuments(filter),
+    Comment.find(filter).sort({ createdAt: -1 }).skip((page-1)*limit).limit(limit)
+  ]);
+  const replies = await Comment.find({ rootId: { $in: roots.map(c => c._id) }, ...visible }).sort({ createdAt: 1 });
+  const items = roots.map(c => ({
+    ...commentView(c, userId),
+    replies: replies.filter(r => String(r.rootId) === String(c._id)).map(r => commentView(r, userId))
+  }));
+  res.send({ items, total, page, limit, pages: Math.ceil(total/limit) });
 });
 
-// Favorites
-app.post('/api/games/:id/favorite', authMiddleware, async (req,res) => {
-  const user = await User.findById(req.user.id);
-  const gid = req.params.id;
-  if(user.favorites.find(f => String(f) === gid)) {
-    user.favorites = user.favorites.filter(f => String(f) !== gid);
+// Post a comment or, with parentId, a reply; it is held for moderation
+app.post(['/api/games/:id/comments', '/api/games/:id/comment'], authMiddleware, gameAccessMiddleware, async (req,res) => {
+  const text = commentText(req.body);
+  if(!text) return res.status(400).send({ error: `Comment must be 1-${COMMENT_MAX_LENGTH} characters` });
+  let parent = null;
+  if(req.body.parentId){
+    parent = await Comment.findOne({ _id: req.body.parentId, gameId: req.game._id }).catch(()=>null);
+    const canSee = parent && (parent.status === 'approved' || String(parent.userId) === String(req.user.id));
+    if(!canSee || parent.deletedAt) return res.status(404).send({ error: 'Comment not found' });
+  }
+  const decision = await moderateCommentText(req.user.id, text);
+  const c = await Comment.create({
+    gameId: req.game._id, userId: req.user.id, userEmail: req.user.email, text,
+    parentId: parent?._id || null, rootId: parent ? (parent.rootId || parent._id) : null,
+    ...decision
+  });
+  if(c.status === 'rejected') return sendCommentRejected(res, decision);
+  res.status(201).send(commentView(c, req.user.id));
+});
+
+async function ownComment(req,res){
+  const c = await Comment.findById(req.params.id).catch(()=>null);
+  if(!c || c.deletedAt){ res.status(404).send({ error: 'Comment not found' }); return null; }
+  if(String(c.userId) !== String(req.user.id)){ res.status(403).send({ error: 'Forbidden' }); return null; }
+  return c;
+}
+
+// Edit own comment; the new text goes through moderation again
+app.patch('/api/comments/:id', authMiddleware, async (req,res) => {
+  const c = await ownComment(req,res);
+  if(!c) return;
+  const text = commentText(req.body);
+  if(!text) return res.status(400).send({ error: `Comment must be 1-${COMMENT_MAX_LENGTH} characters` });
+  const decision = await moderateCommentText(req.user.id, text, c._id);
+  c.set({ text, editedAt: new Date(), ...decision, reviewedBy: null, reviewedAt: null });
+  await c.save();
+  if(c.status === 'rejected') return sendCommentRejected(res, decision);
+  res.send(commentView(c, req.user.id));
+});
+
+// Delete own comment. With replies it becomes a "deleted" placeholder so the thread survives.
+app.delete('/api/comments/:id', authMiddleware, async (req,res) => {
+  const c = await ownComment(req,res);
+  if(!c) return;
+  if(await Comment.exists({ parentId: c._id })){
+    c.text = ''; c.deletedAt = new Date();
+    await c.save();
   } else {
-    user.favorites.push(gid);
+    await Comment.deleteOne({ _id: c._id });
   }
-  await user.save();
-  res.send({ favorites: user.favorites });
+  res.send({ ok: true });
 });
 
-// Leaderboard submit
-app.post('/api/games/:id/leaderboard', authMiddleware, async (req,res) => {
-  const { name, score } = req.body;
-  const g = await Game.findById(req.params.id);
-  if(!g) return res.status(404).send({ error: 'Not found' });
-  g.leaderboard.push({ userId: req.user.id, name, score, createdAt: new Date() });
-  g.leaderboard = g.leaderboard.sort((a,b)=>b.score - a.score).slice(0,100);
-  await g.save();
-  res.send({ ok: true, leaderboard: g.leaderboard.slice(0,10) });
+// Report someone else's comment (once per user)
+app.post('/api/comments/:id/report', authMiddleware, async (req,res) => {
+  const c = await Comment.findById(req.params.id).catch(()=>null);
+  if(!c || c.deletedAt || c.status !== 'approved') return res.status(404).send({ error: 'Comment not found' });
+  if(String(c.userId) === String(req.user.id)) return res.status(400).send({ error: 'Cannot report your own comment' });
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+  const updated = await Comment.findOneAndUpdate(
+    { _id: c._id, 'reports.userId': { $ne: req.user.id } },
+    { $push: { reports: { userId: req.user.id, reason } }, $inc: { reportCount: 1 } },
+    { new: true }
+  );
+  if(updated && updated.reportCount >= COMMENT_REPORTS_TO_HIDE && updated.status === 'approved'){
+    await Comment.updateOne({ _id: c._id, status: 'approved' }, { status: 'pending' });
+  }
+  res.send({ ok: true });
 });
 
-// Admin: upload single game or bulk (zip)
-app.post('/api/admin/games', authMiddleware, upload.single('gameFile'), async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
-  const { title, description, category, tags, lessonTitle, lessonContent, quizzes } = req.body;
-  const parsedTags = (tags||'').split(',').map(t=>t.trim()).filter(Boolean);
-  const parsedQuizzes = quizzes ? JSON.parse(quizzes) : [];
-  let filePath = '';
-  if(req.file){
-    if(USE_S3){
-      // upload to s3 (simple example)
-      const fileStream = fs.createReadStream(req.file.path);
-      const params = { Bucket: process.env.AWS_BUCKET, Key: req.file.filename, Body: fileStream, ACL: 'public-read' };
-      await s3.upload(params).promise();
-      filePath = `https://${process.env.AWS_BUCKET}.s3.amazonaws.com/${req.file.filename}`;
-      fs.unlinkSync(req.file.path);
-    } else {
-      filePath = `/games/files/${req.file.filename}`;
+// Favorites: POST toggles the game in or out of the caller's list
+app.post('/api/games/:id/favorite', authMiddleware, gameAccessMiddleware, async (req,res) => {
+  const gid = req.game._id;
+  const removed = await User.findOneAndUpdate({ _id: req.user.id, favorites: gid }, { $pull: { favorites: gid } }, { new: true });
+  const user = removed || await User.findByIdAndUpdate(req.user.id, { $addToSet: { favorites: gid } }, { new: true });
+  if(!user) return res.status(404).send({ error: 'Not found' });
+  res.send({ favorited: !removed, favorites: user.favorites });
+});
+
+// The caller's favorite games, most recently added first
+app.get('/api/me/favorites', authMiddleware, async (req,res) => {
+  const user = await User.findById(req.user.id).select('favorites');
+  if(!user) return res.status(404).send({ error: 'Not found' });
+  const games = new Map((await Game.find({ _id: { $in: user.favorites } })).map(g => [String(g._id), g]));
+  res.send([...user.favorites].reverse().filter(id => games.has(String(id))).map(id => gameSummary(req, games.get(String(id)))));
+});
+
+// Games the caller played most recently (?limit, max 50), one entry per game
+app.get('/api/me/recent', authMiddleware, async (req,res) => {
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit,10) || 10));
+  const recent = await PlaySession.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+    { $group: { _id: '$gameId', lastPlayedAt: { $max: '$createdAt' }, plays: { $sum: 1 }, completed: { $max: { $cond: [{ $ifNull: ['$completedAt', false] }, true, false] } } } },
+    { $sort: { lastPlayedAt: -1 } },
+    { $limit: limit }
+  ]);
+  const games = new Map((await Game.find({ _id: { $in: recent.map(r => r._id) } })).map(g => [String(g._id), g]));
+  res.send(recent.filter(r => games.has(String(r._id))).map(r => ({ lastPlayedAt: r.lastPlayedAt, plays: r.plays, completed: r.completed, game: gameSummary(req, games.get(String(r._id))) })));
+});
+
+// Leaderboard helpers
+function leaderboardPeriod(window, date = new Date()){
+  if(window === 'day') return date.toISOString().slice(0,10);
+  if(window === 'week'){
+    // ISO week: the week belongs to the year of its Thursday
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+    const week = Math.ceil(((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2,'0')}`;
+  }
+  return 'all';
+}
+
+// Stores score for key unless the existing entry is at least as good
+async function upsertBestScore(key, { name, score, at }){
+  const res = await LeaderboardEntry.updateOne({ ...key, score: { $lt: score } }, { $set: { score, name, achievedAt: at } });
+  if(res.matchedCount) return;
+  // no entry yet, or the existing one is at least as good (duplicate key)
+  try{ await LeaderboardEntry.create({ ...key, name, score, achievedAt: at }); } catch(e){ if(e.code !== 11000) throw e; }
+}
+
+// Keeps the user's best score in every window
+async function recordLeaderboardScore({ gameId, userId, name, score, at = new Date() }){
+  for(const window of LEADERBOARD_WINDOWS){
+    await upsertBestScore({ gameId, userId, window, period: leaderboardPeriod(window, at) }, { name, score, at });
+  }
+}
+
+// Rank is 1 + the number of strictly better scores, so ties share a rank
+async function leaderboardRank(gameId, window, userId){
+  const period = leaderboardPeriod(window);
+  const mine = await LeaderboardEntry.findOne({ gameId, window, period, userId });
+  if(!mine) return null;
+  const better = await LeaderboardEntry.countDocuments({ gameId, window, period, score: { $gt: mine.score } });
+  return { rank: better + 1, score: mine.score, achievedAt: mine.achievedAt };
+}
+
+function leaderboardWindow(req){
+  const window = req.query.window || 'all';
+  return LEADERBOARD_WINDOWS.includes(window) ? window : null;
+}
+
+// Caller's user id if a valid bearer token was sent, for endpoints that also serve anonymous users
+function optionalUserId(req){
+  const auth = req.headers.authorization?.split(' ')[1];
+  if(!auth) return null;
+  try{ return verifyAccessToken(auth).id; } catch(e){ return null; }
+}
+
+// Paginated leaderboard; ?window=all|week|day, ?page, ?limit (max 100)
+app.get('/api/games/:id/leaderboard', gameAccessMiddleware, async (req,res) => {
+  const window = leaderboardWindow(req);
+  if(!window) return res.status(400).send({ error: 'Invalid window' });
+  const page = Math.max(1, parseInt(req.query.page,10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit,10) || 20));
+  const filter = { gameId: req.game._id, window, period: leaderboardPeriod(window) };
+  const [total, entries] = await Promise.all([
+    LeaderboardEntry.countDocuments(filter),
+    LeaderboardEntry.find(filter).sort({ score: -1, achievedAt: 1 }).skip((page-1)*limit).limit(limit).lean()
+  ]);
+  // competition ranks (ties share a rank); the first row is anchored on the count of better scores
+  let rank = null, prev;
+  const items = [];
+  for(const [i, e] of entries.entries()){
+    if(i === 0) rank = await LeaderboardEntry.countDocuments({ ...filter, score: { $gt: e.score } }) + 1;
+    else if(e.score !== prev) rank = (page-1)*limit + i + 1;
+    prev = e.score;
+    items.push({ rank, userId: e.userId, name: e.name, score: e.score, achievedAt: e.achievedAt });
+  }
+  const userId = optionalUserId(req);
+  const me = userId ? await leaderboardRank(req.game._id, window, userId) : null;
+  res.send({ window, period: filter.period, total, page, pages: Math.ceil(total/limit), limit, entries: items, me });
+});
+
+app.get('/api/games/:id/leaderboard/me', authMiddleware, gameAccessMiddleware, async (req,res) => {
+  const window = leaderboardWindow(req);
+  if(!window) return res.status(400).send({ error: 'Invalid window' });
+  res.send({ window, period: leaderboardPeriod(window), me: await leaderboardRank(req.game._id, window, req.user.id) });
+});
+
+// Play sessions: the host page opens one per play and relays the game SDK's events with its token
+async function playSessionMiddleware(req,res,next){
+  let payload;
+  try{ payload = jwt.verify(req.body.sessionToken, JWT_SECRET); } catch(e){ return res.status(401).send({ error: 'Invalid play session' }); }
+  if(payload.type !== 'play_session' || payload.gameId !== String(req.game._id) || payload.userId !== String(req.user.id)) return res.status(401).send({ error: 'Invalid play session' });
+  req.playSession = await PlaySession.findById(payload.sid);
+  if(!req.playSession) return res.status(401).send({ error: 'Invalid play session' });
+  next();
+}
+
+app.post('/api/games/:id/play-session', authMiddleware, gameAccessMiddleware, async (req,res) => {
+  const session = await PlaySession.create({ userId: req.user.id, gameId: req.game._id });
+  await Game.updateOne({ _id: req.game._id }, { $inc: { plays: 1 } });
+  const sessionToken = jwt.sign({ type: 'play_session', sid: String(session._id), gameId: String(req.game._id), userId: String(req.user.id) }, JWT_SECRET, { expiresIn: PLAY_SESSION_TTL });
+  track(req, 'play_start', req.game, { sessionId: session._id });
+  res.send({ sessionToken, sessionId: session._id });
+});
+
+// A play ends at completion or at score submit, whichever comes first; its duration is recorded once
+const MAX_PLAY_DURATION_MS = 3600*1000;
+async function endPlaySession(req, s, at = new Date()){
+  const claimed = await PlaySession.updateOne({ _id: s._id, endedAt: null }, { endedAt: at });
+  if(!claimed.modifiedCount) return;
+  const durationMs = Math.min(MAX_PLAY_DURATION_MS, Math.max(0, at - (s.startedAt || s.createdAt)));
+  track(req, 'play_end', req.game, { sessionId: s._id, durationMs, score: s.lastScore });
+}
+
+// SDK events other than the final score: start / progress / score / complete
+app.post('/api/games/:id/play-session/events', authMiddleware, gameAccessMiddleware, playSessionMiddleware, async (req,res) => {
+  const { type, payload = {} } = req.body;
+  const s = req.playSession;
+  if(s.submittedAt) return res.status(409).send({ error: 'Session already submitted' });
+  const now = new Date();
+  if(type === 'start') s.startedAt = s.startedAt || now;
+  else if(type === 'progress' && isFinite(payload.progress)) s.progress = Math.max(s.progress, Math.min(1, Math.max(0, Number(payload.progress))));
+  else if(type === 'score' && isFinite(payload.score)) s.lastScore = Number(payload.score);
+  else if(type === 'complete'){
+    if(!s.completedAt) track(req, 'game_complete', req.game, { sessionId: s._id, score: s.lastScore });
+    s.completedAt = now; s.progress = 1;
+  }
+  else return res.status(400).send({ error: 'Unknown event' });
+  s.lastEventAt = now;
+  await s.save();
+  if(type === 'complete') await endPlaySession(req, s, now);
+  res.send({ ok: true });
+});
+
+// Leaderboard submit: one score per play session, within the game's bounds and submit rate
+// Idempotency is checked before the session so a replay still gets its stored response.
+app.post('/api/games/:id/leaderboard', authMiddleware, gameAccessMiddleware, idempotent('leaderboard'), playSessionMiddleware, async (req,res) => {
+  const score = Number(req.body.score);
+  const g = req.game;
+  const s = req.playSession;
+  if(s.submittedAt) return res.status(409).send({ error: 'Session already submitted' });
+  const { min = 0, max, maxSubmitsPerHour = 20 } = g.scoring || {};
+  if(!isFinite(score) || score < min || (max !== undefined && max !== null && score > max)) return res.status(400).send({ error: 'Score out of range' });
+  const recent = await PlaySession.countDocuments({ userId: req.user.id, gameId: g._id, submittedAt: { $gte: new Date(Date.now() - 3600*1000) } });
+  if(recent >= maxSubmitsPerHour) return res.status(429).send({ error: 'Too many submissions, try again later' });
+  // claim the session atomically so concurrent submits with the same token cannot both land
+  const claimed = await PlaySession.findOneAndUpdate({ _id: s._id, submittedAt: null }, { submittedAt: new Date(), score });
+  if(!claimed) return res.status(409).send({ error: 'Session already submitted' });
+  await endPlaySession(req, s);
+  const name = (req.user.email || '').split('@')[0];
+  await recordLeaderboardScore({ gameId: g._id, userId: req.user.id, name, score });
+  const leaderboard = await LeaderboardEntry.find({ gameId: g._id, window: 'all', period: 'all' }).sort({ score: -1, achievedAt: 1 }).limit(10).select('userId name score achievedAt');
+  res.send({ ok: true, leaderboard, me: await leaderboardRank(g._id, 'all', req.user.id) });
+});
+
+// Classrooms
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function newJoinCode(){ return Array.from({ length: 6 }, () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join(''); }
+// Saves a classroom with a fresh join code, retrying on the rare collision
+async function saveWithJoinCode(classroom){
+  for(let i = 0; ; i++){
+    classroom.joinCode = newJoinCode();
+    try{ return await classroom.save(); }
+    catch(e){ if(e.code !== 11000 || i >= 4) throw e; }
+  }
+}
+
+// The classroom in req.params.id if the caller teaches it (or has classrooms:all)
+async function teacherClassroom(req,res){
+  if(!hasPermission(req.user.role, 'classrooms:teach')){ res.status(403).send({ error: 'Forbidden' }); return null; }
+  const c = await Classroom.findById(req.params.id).catch(()=>null);
+  if(!c || (!hasPermission(req.user.role, 'classrooms:all') && String(c.teacherId) !== String(req.user.id))){ res.status(404).send({ error: 'Classroom not found' }); return null; }
+  return c;
+}
+
+// Assignment fields from a request body; partial leaves out what was not sent
+function parseAssignmentFields(body, { partial = false } = {}){
+  const fields = {};
+  if(!partial || body.gameId !== undefined){
+    if(!mongoose.isValidObjectId(body.gameId)) return { error: 'gameId is required' };
+    fields.gameId = body.gameId;
+  }
+  if(!partial || body.title !== undefined) fields.title = String(body.title || '').trim().slice(0, 200);
+  if(!partial || body.instructions !== undefined) fields.instructions = String(body.instructions || '').slice(0, 5000);
+  if(!partial || body.dueAt !== undefined){
+    const dueAt = body.dueAt ? new Date(body.dueAt) : null;
+    if(dueAt && isNaN(dueAt)) return { error: 'dueAt must be a date' };
+    fields.dueAt = dueAt;
+  }
+  return { fields };
+}
+
+/**
+ * Per-student results for assignments: one row per (student, assignment) with
+ * status 'completed' | 'late' | 'in-progress' | 'missing' (past due) | 'not-started'.
+ */
+async function assignmentResults(assignments, studentIds){
+  const gameIds = [...new Set(assignments.map(a => String(a.gameId)))].map(id => new mongoose.Types.ObjectId(id));
+  const userIds = studentIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  const match = { userId: { $in: userIds }, gameId: { $in: gameIds } };
+  const [games, attempts, plays] = await Promise.all([
+    Game.find({ _id: { $in: gameIds } }).select('title quizzes._id'),
+    Attempt.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      { $group: {
+        _id: { userId: '$userId', gameId: '$gameId' }, attempts: { $sum: 1 }, bestScore: { $max: '$score' }, total: { $first: '$total' },
+        passedAt: { $min: { $cond: [{ $and: [{ $gt: ['$total', 0] }, { $gte: [{ $divide: ['$score', '$total'] }, QUIZ_PASS_RATIO] }] }, '$createdAt', null] } }
+      } }
+    ]),
+    PlaySession.aggregate([
+      { $match: match },
+      { $group: { _id: { userId: '$userId', gameId: '$gameId' }, plays: { $sum: 1 }, completedAt: { $min: '$completedAt' } } }
+    ])
+  ]);
+  const key = id => `${id.userId}:${id.gameId}`;
+  const gameById = new Map(games.map(g => [String(g._id), g]));
+  const attemptsBy = new Map(attempts.map(a => [key(a._id), a]));
+  const playsBy = new Map(plays.map(p => [key(p._id), p]));
+  const now = new Date();
+  const rows = [];
+  for(const a of assignments){
+    const game = gameById.get(String(a.gameId));
+    const hasQuiz = !!game?.quizzes?.length;
+    for(const studentId of studentIds){
+      const k = `${studentId}:${a.gameId}`;
+      const at = attemptsBy.get(k), pl = playsBy.get(k);
+      const completedAt = (hasQuiz ? at?.passedAt : pl?.completedAt) || null;
+      let status;
+      if(completedAt) status = a.dueAt && completedAt > a.dueAt ? 'late' : 'completed';
+      else if(at || pl) status = 'in-progress';
+      else status = a.dueAt && a.dueAt < now ? 'missing' : 'not-started';
+      rows.push({
+        studentId, assignmentId: a._id, gameId: a.gameId, status, completedAt,
+        bestScore: at?.bestScore ?? null, total: at?.total ?? null, attempts: at?.attempts || 0, plays: pl?.plays || 0
+      });
     }
   }
-  const g = await Game.create({ title, description, category, tags: parsedTags, filePath, lesson: { title: lessonTitle, content: lessonContent }, quizzes: parsedQuizzes });
+  return { rows, games: gameById };
+}
+
+// Whole-class report: classroom, students, assignments and one result row per student and assignment
+async function classroomReport(c){
+  const [students, assignments] = await Promise.all([
+    User.find({ _id: { $in: c.students } }).select('email').sort({ email: 1 }),
+    Assignment.find({ classroomId: c._id }).sort({ dueAt: 1, createdAt: 1 })
+  ]);
+  const { rows, games } = await assignmentResults(assignments, students.map(s => String(s._id)));
+  return {
+    classroom: { _id: c._id, name: c.name, joinCode: c.joinCode },
+    students: students.map(s => ({ _id: s._id, email: s.email })),
+    assignments: assignments.map(a => ({ ...a.toObject(), gameTitle: games.get(String(a.gameId))?.title || '' })),
+    results: rows
+  };
+}
+
+// CSV cell; a leading = + - @ is neutralized so spreadsheets do not run it as a formula
+function csvCell(v){
+  let s = v === null || v === undefined ? '' : v instanceof Date ? v.toISOString() : String(v);
+  if(typeof v === 'string' && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Teacher: own classrooms with student and assignment counts
+app.get('/api/classrooms', authMiddleware, requirePermission('classrooms:teach'), async (req,res) => {
+  const classrooms = await Classroom.find({ teacherId: req.user.id }).sort({ createdAt: -1 });
+  const counts = await Assignment.aggregate([{ $match: { classroomId: { $in: classrooms.map(c => c._id) } } }, { $group: { _id: '$classroomId', n: { $sum: 1 } } }]);
+  const byId = new Map(counts.map(x => [String(x._id), x.n]));
+  res.send(classrooms.map(c => ({ _id: c._id, name: c.name, joinCode: c.joinCode, students: c.students.length, assignments: byId.get(String(c._id)) || 0, createdAt: c.createdAt })));
+});
+
+app.post('/api/classrooms', authMiddleware, requirePermission('classrooms:teach'), async (req,res) => {
+  const name = String(req.body.name || '').trim().slice(0, 100);
+  if(!name) return res.status(400).send({ error: 'name is required' });
+  const c = await saveWithJoinCode(new Classroom({ name, teacherId: req.user.id }));
+  res.status(201).send(c);
+});
+
+// Teacher: classroom report (?format=csv downloads it)
+app.get('/api/classrooms/:id', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  const report = await classroomReport(c);
+  if(req.query.format !== 'csv') return res.send(report);
+  const students = new Map(report.students.map(s => [String(s._id), s.email]));
+  const assignments = new Map(report.assignments.map(a => [String(a._id), a]));
+  const lines = [['Student', 'Assignment', 'Game', 'Due', 'Status', 'Completed at', 'Best score', 'Out of', 'Attempts', 'Plays']];
+  for(const r of report.results){
+    const a = assignments.get(String(r.assignmentId));
+    lines.push([students.get(String(r.studentId)), a.title || a.gameTitle, a.gameTitle, a.dueAt, r.status, r.completedAt, r.bestScore, r.total, r.attempts, r.plays]);
+  }
+  const filename = c.name.replace(/[^a-zA-Z0-9_-]+/g, '_') || 'classroom';
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}-report.csv"`);
+  res.send(lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n');
+});
+
+app.patch('/api/classrooms/:id', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  const name = String(req.body.name || '').trim().slice(0, 100);
+  if(!name) return res.status(400).send({ error: 'name is required' });
+  c.name = name; await c.save();
+  res.send(c);
+});
+
+app.delete('/api/classrooms/:id', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  await Promise.all([Classroom.deleteOne({ _id: c._id }), Assignment.deleteMany({ classroomId: c._id })]);
+  res.send({ ok: true });
+});
+
+// Teacher: new join code (the old one stops working)
+app.post('/api/classrooms/:id/join-code', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  await saveWithJoinCode(c);
+  res.send({ joinCode: c.joinCode });
+});
+
+app.delete('/api/classrooms/:id/students/:userId', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  await Classroom.updateOne({ _id: c._id }, { $pull: { students: req.params.userId } }).catch(()=>null);
+  res.send({ ok: true });
+});
+
+app.post('/api/classrooms/:id/assignments', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  const { fields, error } = parseAssignmentFields(req.body);
+  if(error) return res.status(400).send({ error });
+  const game = await Game.findById(fields.gameId).select('title');
+  if(!game) return res.status(400).send({ error: 'Game not found' });
+  const a = await Assignment.create({ ...fields, title: fields.title || game.title, classroomId: c._id });
+  res.status(201).send(a);
+});
+
+app.patch('/api/classrooms/:id/assignments/:assignmentId', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  const { fields, error } = parseAssignmentFields(req.body, { partial: true });
+  if(error) return res.status(400).send({ error });
+  if(fields.gameId && !await Game.exists({ _id: fields.gameId })) return res.status(400).send({ error: 'Game not found' });
+  const a = await Assignment.findOneAndUpdate({ _id: req.params.assignmentId, classroomId: c._id }, fields, { new: true }).catch(()=>null);
+  if(!a) return res.status(404).send({ error: 'Assignment not found' });
+  res.send(a);
+});
+
+app.delete('/api/classrooms/:id/assignments/:assignmentId', authMiddleware, async (req,res) => {
+  const c = await teacherClassroom(req,res);
+  if(!c) return;
+  await Assignment.deleteOne({ _id: req.params.assignmentId, classroomId: c._id }).catch(()=>null);
+  res.send({ ok: true });
+});
+
+// Student: join a classroom with its code
+app.post('/api/classrooms/join', authMiddleware, async (req,res) => {
+  const code = String(req.body.code || '').trim().toUpperCase();
+  const c = code && await Classroom.findOneAndUpdate({ joinCode: code }, { $addToSet: { students: req.user.id } }, { new: true });
+  if(!c) return res.status(404).send({ error: 'No classroom with that code' });
+  res.send({ _id: c._id, name: c.name });
+});
+
+// Student: my classrooms with their assignments and my status on each
+app.get('/api/me/classrooms', authMiddleware, async (req,res) => {
+  const classrooms = await Classroom.find({ students: req.user.id }).sort({ createdAt: -1 });
+  const assignments = await Assignment.find({ classroomId: { $in: classrooms.map(c => c._id) } }).sort({ dueAt: 1, createdAt: 1 });
+  const { rows, games } = await assignmentResults(assignments, [String(req.user.id)]);
+  const byAssignment = new Map(rows.map(r => [String(r.assignmentId), r]));
+  res.send(classrooms.map(c => ({
+    _id: c._id, name: c.name,
+    assignments: assignments.filter(a => String(a.classroomId) === String(c._id)).map(a => {
+      const r = byAssignment.get(String(a._id));
+      return { _id: a._id, gameId: a.gameId, gameTitle: games.get(String(a.gameId))?.title || '', title: a.title, instructions: a.instructions, dueAt: a.dueAt, status: r.status, bestScore: r.bestScore, total: r.total };
+    })
+  })));
+});
+
+app.post('/api/classrooms/:id/leave', authMiddleware, async (req,res) => {
+  await Classroom.updateOne({ _id: req.params.id }, { $pull: { students: req.user.id } }).catch(()=>null);
+  res.send({ ok: true });
+});
+
+// Admin game fields from a form (multipart strings) or JSON body. With partial, only the fields
+// present are returned (PATCH); otherwise missing ones get their defaults (create / PUT).
+// Returns { fields } or { error, details }.
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+function parseGameFields(body, { partial = false } = {}){
+  const has = key => body[key] !== undefined && !(partial && body[key] === '');
+  const fields = {};
+  for(const key of ['title', 'description', 'category']){
+    if(has(key)) fields[key] = String(body[key]);
+    else if(!partial) fields[key] = '';
+  }
+  if(has('access')){
+    if(!['free','locked'].includes(body.access)) return { error: 'Invalid access' };
+    fields.access = body.access;
+  } else if(!partial) fields.access = 'free';
+  if(has('slug')){
+    if(typeof body.slug !== 'string' || body.slug.length > 100 || !SLUG_RE.test(body.slug)) return { error: 'Invalid slug' };
+    fields.slug = body.slug;
+  }
+  if(has('tags')) fields.tags = (Array.isArray(body.tags) ? body.tags : String(body.tags).split(',')).map(t=>String(t).trim()).filter(Boolean);
+  else if(!partial) fields.tags = [];
+  if(has('lessonTitle')) fields.lessonTitle = String(body.lessonTitle);
+  if(has('lessonContent')) fields.lessonContent = String(body.lessonContent);
+  if(has('quizzes') || !partial){
+    let rawQuizzes = body.quizzes || [];
+    if(typeof rawQuizzes === 'string'){
+      try{ rawQuizzes = JSON.parse(rawQuizzes); } catch(e){ return { error: 'Invalid quizzes JSON' }; }
+    }
+    const { quizzes, errors } = validateQuizzes(rawQuizzes);
+    if(errors.length) return { error: 'Invalid quizzes', details: errors };
+    fields.quizzes = quizzes;
+  }
+  if(has('lessonFormat')){
+    if(!lessons.LESSON_FORMATS.includes(body.lessonFormat)) return { error: `lessonFormat must be one of ${lessons.LESSON_FORMATS.join(', ')}` };
+    fields.lessonFormat = body.lessonFormat;
+  } else if(!partial) fields.lessonFormat = 'html';
+  // checkpoints are only checked against the quiz when both come in the same request
+  if(fields.lessonContent !== undefined && fields.lessonFormat !== 'html'){
+    const { errors } = lessons.buildLesson({ format: 'markdown', content: fields.lessonContent }, { quizCount: fields.quizzes?.length });
+    if(errors.length) return { error: 'Invalid lesson', details: errors };
+  }
+  if(has('defaultLocale')){
+    fields.defaultLocale = i18n.normalizeLocale(body.defaultLocale);
+    if(!fields.defaultLocale) return { error: 'Invalid defaultLocale' };
+  } else if(!partial) fields.defaultLocale = 'en';
+  if(has('translations') || !partial){
+    let raw = body.translations;
+    if(typeof raw === 'string' && raw){
+      try{ raw = JSON.parse(raw); } catch(e){ return { error: 'Invalid translations JSON' }; }
+    }
+    const { translations, errors = [] } = i18n.parseTranslations(raw, { quizzes: fields.quizzes });
+    for(const t of translations || []){
+      if(t.lessonFormat !== undefined && !lessons.LESSON_FORMATS.includes(t.lessonFormat)) errors.push(`translations.${t.locale}: lessonFormat must be one of ${lessons.LESSON_FORMATS.join(', ')}`);
+      else if(t.lessonContent && (t.lessonFormat || fields.lessonFormat) !== 'html'){
+        lessons.buildLesson({ format: 'markdown', content: t.lessonContent }, { quizCount: fields.quizzes?.length }).errors.forEach(e => errors.push(`translations.${t.locale}: ${e}`));
+      }
+    }
+    if(translations?.some(t => t.locale === (fields.defaultLocale || 'en'))) errors.push('translations: the default locale is the game itself, not a translation');
+    if(errors.length) return { error: 'Invalid translations', details: errors };
+    fields.translations = translations;
+  }
+  const scoringInput = body.scoring || { min: body.scoreMin, max: body.scoreMax, maxSubmitsPerHour: body.maxSubmitsPerHour };
+  if(Object.values(scoringInput).some(v => v !== undefined && v !== '') || !partial){
+    const { scoring, error } = parseScoring(scoringInput);
+    if(error) return { error };
+    fields.scoring = partial ? scoring : { min: 0, max: undefined, maxSubmitsPerHour: 20, ...scoring };
+  }
+  return { fields };
+}
+
+// Lessons are sanitized and split into sections here, whichever route the content came through
+function applyGameFields(g, { lessonTitle, lessonContent, lessonFormat, scoring, translations, ...fields }){
+  Object.assign(g, fields);
+  if(translations){
+    g.translations = translations.map(({ lessonTitle, lessonContent, lessonFormat: format, ...t }) => ({
+      ...t,
+      lesson: lessonContent || lessonTitle ? lessons.buildLesson({ title: lessonTitle || '', format: format || lessonFormat || g.lesson?.format || 'html', content: lessonContent || '' }).lesson : undefined
+    }));
+  }
+  for(const [key, value] of Object.entries(scoring || {})) g.set('scoring.' + key, value);
+  if(lessonTitle !== undefined || lessonContent !== undefined || lessonFormat !== undefined){
+    g.lesson = lessons.buildLesson({
+      title: lessonTitle ?? g.lesson?.title ?? '',
+      format: lessonFormat ?? g.lesson?.format ?? 'html',
+      content: lessonContent ?? g.lesson?.content ?? ''
+    }).lesson;
+  }
+}
+
+// Stores an uploaded single-file game in its own folder and returns its filePath
+async function storeUploadedFile(file){
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  const name = ['.html', '.htm'].includes(ext) ? 'index.html' : (path.basename(file.originalname || 'game').replace(/[^a-zA-Z0-9._-]/g, '_') || 'game');
+  const key = `${file.filename}/${name}`;
+  await storage.put(key, file.path);
+  return `/games/files/${key}`;
+}
+
+// Removes the uploaded file or bundle folder behind a filePath
+async function removeUploadedBundle(filePath){
+  const folder = folderFromFilePath(filePath);
+  if(folder) await storage.remove(folder);
+}
+
+// Garbage collection: deletes storage folders no game or game version references, plus stale
+// upload temp files. Anything newer than graceMs is kept so in-flight uploads are never touched.
+const STORAGE_GC_GRACE_MS = 24*3600*1000;
+async function collectOrphanedFiles({ dryRun = false, graceMs = STORAGE_GC_GRACE_MS } = {}){
+  const cutoff = new Date(Date.now() - graceMs);
+  const [games, versions] = await Promise.all([
+    Game.find().select('filePath').lean(),
+    GameVersion.find().select('snapshot.filePath').lean()
+  ]);
+  const referenced = new Set([...games.map(g => g.filePath), ...versions.map(v => v.snapshot?.filePath)].map(folderFromFilePath).filter(Boolean));
+  const orphans = await collectOrphans(storage, referenced, { cutoff, dryRun });
+  const staleTmp = fs.readdirSync(uploadTmpDir).filter(name => fs.statSync(path.join(uploadTmpDir, name)).mtime < cutoff);
+  if(!dryRun) staleTmp.forEach(name => fs.rmSync(path.join(uploadTmpDir, name), { recursive: true, force: true }));
+  return { dryRun, removed: orphans, tmpRemoved: staleTmp };
+}
+
+function versionSnapshot(g){
+  const obj = g.toObject();
+  return Object.fromEntries(VERSIONED_FIELDS.map(f => [f, obj[f]]));
+}
+
+// Games created before versioning get their current state recorded as version 1 before any change
+async function ensureBaselineVersion(g){
+  if(g.version) return;
+  g.version = 1;
+  await GameVersion.create({ gameId: g._id, version: 1, snapshot: versionSnapshot(g), note: 'baseline' });
+}
+
+// Saves g as a new version and records its snapshot
+async function saveGameVersion(g, { userId, note } = {}){
+  g.version = (g.version || 0) + 1;
+  await g.save();
+  await GameVersion.create({ gameId: g._id, version: g.version, snapshot: versionSnapshot(g), note, createdBy: userId });
+  return g;
+}
+
+function sendGameSaveError(res, e){
+  if(e.code === 11000) return res.status(409).send({ error: 'Slug already in use' });
+  console.error(e);
+  res.status(500).send({ error: 'Failed saving game' });
+}
+
+// Admin: upload single game or bulk (zip)
+app.post('/api/admin/games', authMiddleware, requirePermission('games:manage'), upload.single('gameFile'), async (req,res) => {
+  const { fields, error, details } = parseGameFields(req.body);
+  if(error) return res.status(400).send({ error, details });
+  const g = new Game();
+  applyGameFields(g, { lessonTitle: '', lessonContent: '', ...fields });
+  g.filePath = req.file ? await storeUploadedFile(req.file) : '';
+  await setUnlockSecret(g, req.body.unlockSecret);
+  try{ await saveGameVersion(g, { userId: req.user.id, note: 'created' }); }
+  catch(e){ return sendGameSaveError(res, e); }
+  await audit(req, 'game.create', { type: 'game', id: g._id }, { title: g.title, file: !!req.file });
+  res.send(gameSummary(req, g));
+});
+
+// Admin: update a game as a new version. PUT replaces every field (missing ones reset to defaults),
+// PATCH changes only the fields sent; either may carry a new gameFile, keeping the previous bundle.
+async function updateGame(req, res, partial){
+  const g = await Game.findById(req.params.id).catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  const { fields, error, details } = parseGameFields(req.body, { partial });
+  if(error) return res.status(400).send({ error, details });
+  await ensureBaselineVersion(g);
+  applyGameFields(g, partial ? fields : { lessonTitle: '', lessonContent: '', ...fields });
+  if(req.file) g.filePath = await storeUploadedFile(req.file);
+  if(req.body.unlockSecret !== undefined) await setUnlockSecret(g, req.body.unlockSecret);
+  try{ await saveGameVersion(g, { userId: req.user.id, note: req.body.note || (partial ? 'patched' : 'replaced') }); }
+  catch(e){ return sendGameSaveError(res, e); }
+  await audit(req, 'game.update', { type: 'game', id: g._id }, { title: g.title, version: g.version, fields: Object.keys(fields), file: !!req.file });
+  res.send(g);
+}
+app.put('/api/admin/games/:id', authMiddleware, requirePermission('games:manage'), upload.single('gameFile'), (req,res) => updateGame(req, res, false));
+app.patch('/api/admin/games/:id', authMiddleware, requirePermission('games:manage'), upload.single('gameFile'), (req,res) => updateGame(req, res, true));
+
+// Admin: delete a game with its version history, uploaded bundles and leaderboard
+app.delete('/api/admin/games/:id', authMiddleware, requirePermission('games:manage'), async (req,res) => {
+  const g = await Game.findById(req.params.id).catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  const versions = await GameVersion.find({ gameId: g._id });
+  const bundles = new Set([g.filePath, ...versions.map(v => v.snapshot?.filePath)].filter(Boolean));
+  await Promise.all([
+    Game.deleteOne({ _id: g._id }),
+    GameVersion.deleteMany({ gameId: g._id }),
+    LeaderboardEntry.deleteMany({ gameId: g._id }),
+    PlaySession.deleteMany({ gameId: g._id }),
+    Comment.deleteMany({ gameId: g._id }),
+    Assignment.deleteMany({ gameId: g._id }),
+    Rating.deleteMany({ gameId: g._id }),
+    User.updateMany({ favorites: g._id }, { $pull: { favorites: g._id } })
+  ]);
+  for(const filePath of bundles){
+    try{ await removeUploadedBundle(filePath); } catch(e){ console.error('Failed removing', filePath, e); }
+  }
+  await audit(req, 'game.delete', { type: 'game', id: g._id }, { title: g.title, slug: g.slug, versions: versions.length });
+  res.send({ ok: true });
+});
+
+// Admin: version history (newest first)
+app.get('/api/admin/games/:id/versions', authMiddleware, requirePermission('games:manage'), async (req,res) => {
+  const g = await Game.findById(req.params.id).catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  const versions = await GameVersion.find({ gameId: g._id }).sort({ version: -1 });
+  res.send({ current: g.version, versions });
+});
+
+// Admin: roll back to an earlier version. History stays linear: the old snapshot becomes a new version.
+app.post('/api/admin/games/:id/rollback', authMiddleware, requirePermission('games:manage'), async (req,res) => {
+  const g = await Game.findById(req.params.id).catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  const target = await GameVersion.findOne({ gameId: g._id, version: parseInt(req.body.version,10) });
+  if(!target) return res.status(404).send({ error: 'Version not found' });
+  for(const f of VERSIONED_FIELDS) g.set(f, target.snapshot[f]);
+  await saveGameVersion(g, { userId: req.user.id, note: `rollback to v${target.version}` });
+  await audit(req, 'game.rollback', { type: 'game', id: g._id }, { title: g.title, toVersion: target.version, version: g.version });
   res.send(g);
 });
 
-// Admin: bulk ZIP upload endpoint
-app.post('/api/admin/bulk-upload', authMiddleware, upload.single('zipFile'), async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
+// Admin: change a game's access tier and/or its unlock secret (an empty secret removes it)
+app.post('/api/admin/games/:id/access', authMiddleware, requirePermission('games:manage'), async (req,res) => {
+  const { access, unlockSecret } = req.body;
+  if(access && !['free','locked'].includes(access)) return res.status(400).send({ error: 'Invalid access' });
+  const g = await Game.findById(req.params.id).catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  if(unlockSecret !== undefined) await setUnlockSecret(g, unlockSecret);
+  if(access && access !== g.access){
+    await ensureBaselineVersion(g);
+    g.access = access;
+    await saveGameVersion(g, { userId: req.user.id, note: `access ${access}` });
+  } else await g.save();
+  await audit(req, 'game.access', { type: 'game', id: g._id }, { title: g.title, access: g.access, unlockSecretChanged: unlockSecret !== undefined });
+  res.send({ ok: true, access: g.access });
+});
+
+// Admin: bulk ZIP upload endpoint. Each game folder holds index.html and metadata.json (see ingest.js).
+// ?dryRun=true validates everything and returns the same report without writing anything.
+app.post('/api/admin/bulk-upload', authMiddleware, requirePermission('games:manage'), upload.single('zipFile'), async (req,res) => {
   if(!req.file) return res.status(400).send({ error: 'No file' });
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+  let pkg;
   try{
-    const zip = new AdmZip(req.file.path);
-    const entries = zip.getEntries();
-    // Expect structure: each game in folder with index.html and metadata.json (metadata.json includes title, description, etc.)
-    const created = [];
-    for(const entry of entries){
-      if(entry.isDirectory) continue;
-      const parts = entry.entryName.split('/');
-      if(parts.length>=2 && parts[parts.length-1] === 'metadata.json'){
-        const folder = parts.slice(0, -1).join('/');
-        const metaRaw = zip.readAsText(entry);
-        let meta;
-        try{ meta = JSON.parse(metaRaw); } catch(e){ continue; }
-        // extract all files for this folder
-        const targetFolder = path.join(uploadDir, folder + '_' + Date.now());
-        fs.mkdirSync(targetFolder, { recursive: true });
-        entries.filter(en => en.entryName.startsWith(folder+'/')).forEach(en => {
-          const rel = en.entryName.substring(folder.length+1);
-          if(en.isDirectory) return;
-          const outPath = path.join(targetFolder, rel);
-          fs.mkdirSync(path.dirname(outPath), { recursive: true });
-          fs.writeFileSync(outPath, zip.readFile(en));
-        });
-        // find index.html file
-        const indexPath = Object.keys(fs.readdirSync(targetFolder)).length ? path.join(targetFolder, 'index.html') : null;
-        // make a simple filePath (serving folder)
-        const serveUrl = `/games/files/${path.basename(targetFolder)}/index.html`;
-        // move extracted files into uploads/<basename>
-        const destDir = path.join(uploadDir, path.basename(targetFolder));
-        fs.renameSync(targetFolder, destDir);
-        // create game entry
-        const g = await Game.create({
-          title: meta.title || 'Untitled', description: meta.description || '', category: meta.category || '',
-          tags: meta.tags || [], filePath: serveUrl, lesson: { title: meta.lessonTitle || '', content: meta.lessonContent || '' },
-          quizzes: meta.quizzes || []
-        });
-        created.push(g);
+    pkg = await inspectPackage(req.file.path);
+    const games = [];
+    const seenSlugs = new Set();
+    for(const game of pkg.games){
+      const meta = game.meta || {};
+      const reasons = [...game.errors];
+      const { fields, error, details } = parseGameFields(meta);
+      if(error) reasons.push(...(details || [error]));
+      else if(fields.lessonContent || fields.translations.some(t => t.lessonContent)){
+        const bundled = new Set(game.files.map(f => f.rel));
+        const images = [{ format: fields.lessonFormat, content: fields.lessonContent }, ...fields.translations.map(t => ({ format: t.lessonFormat || fields.lessonFormat, content: t.lessonContent }))]
+          .flatMap(l => l.content ? lessons.buildLesson(l).images : []);
+        [...new Set(images)].filter(src => { try{ return !bundled.has(decodeURI(src)); } catch(e){ return true; } }).forEach(src => reasons.push(`lesson image '${src}' is not in the game folder`));
+      }
+      if(fields?.slug){
+        if(seenSlugs.has(fields.slug)) reasons.push(`slug '${fields.slug}' appears more than once in this package`);
+        seenSlugs.add(fields.slug);
+      }
+      const item = { folder: game.folder, title: meta.title || '', slug: meta.slug };
+      if(reasons.length){ games.push({ ...item, status: 'failed', reasons }); continue; }
+      // a game whose slug already exists is updated as a new version instead of duplicated
+      const existing = fields.slug ? await Game.findOne({ slug: fields.slug }) : null;
+      const action = existing ? 'update' : 'create';
+      if(dryRun){ games.push({ ...item, status: 'ready', action, gameId: existing?._id, files: game.files.length }); continue; }
+      try{
+        const dirName = path.posix.basename(game.folder).replace(/[^a-zA-Z0-9_-]/g, '_') + '_' + Date.now();
+        const extracted = path.join(uploadTmpDir, dirName);
+        await pkg.extract(game, extracted);
+        await storage.putDirectory(dirName, extracted);
+        const g = existing || new Game();
+        if(existing) await ensureBaselineVersion(g);
+        applyGameFields(g, { lessonTitle: '', lessonContent: '', ...fields });
+        g.filePath = `/games/files/${dirName}/index.html`;
+        if(!existing || meta.unlockSecret !== undefined) await setUnlockSecret(g, meta.unlockSecret);
+        await saveGameVersion(g, { userId: req.user.id, note: existing ? 'bulk upload update' : 'bulk upload' });
+        games.push({ ...item, status: existing ? 'updated' : 'created', action, gameId: g._id, version: g.version });
+      } catch(e){
+        console.error(e);
+        games.push({ ...item, status: 'failed', reasons: [e.code === 11000 ? 'slug already in use' : e.message] });
       }
     }
-    fs.unlinkSync(req.file.path);
-    res.send({ created: created.length, items: created.slice(0,20) });
+    const count = status => games.filter(g => g.status === status).length;
+    const summary = { created: count('created'), updated: count('updated'), ready: count('ready'), failed: count('failed'), skipped: pkg.skipped.length };
+    if(!dryRun) await audit(req, 'game.bulk_upload', { type: 'upload', id: req.file.originalname }, {
+      summary, games: games.filter(g => g.gameId).map(g => ({ gameId: g.gameId, title: g.title, status: g.status }))
+    });
+    res.send({ dryRun, summary, games, skipped: pkg.skipped });
   } catch(e){
+    if(e instanceof PackageError) return res.status(400).send({ error: e.message, reasons: e.reasons });
     console.error(e);
     res.status(500).send({ error: 'Failed processing zip' });
+  } finally {
+    if(pkg) pkg.close();
+    fs.rm(req.file.path, { force: true }, () => {});
   }
 });
 
+// Admin: storage garbage collection (?dryRun=true lists what would be removed)
+app.post('/api/admin/storage/gc', authMiddleware, requirePermission('storage:manage'), async (req,res) => {
+  const result = await collectOrphanedFiles({ dryRun: req.query.dryRun === 'true' });
+  if(!result.dryRun) await audit(req, 'storage.gc', { type: 'storage' }, { removed: result.removed, tmpRemoved: result.tmpRemoved.length });
+  res.send(result);
+});
+
 // Admin: list games
-app.get('/api/admin/games', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
-  const list = await Game.find().sort({ createdAt: -1 });
-  res.send(list);
+app.get('/api/admin/games', authMiddleware, requirePermission('games:manage'), async (req,res) => {
+  const list = await Game.find().sort({ createdAt: -1 }).lean();
+  const counts = await LeaderboardEntry.aggregate([{ $match: { window: 'all' } }, { $group: { _id: '$gameId', players: { $sum: 1 } } }]);
+  const players = Object.fromEntries(counts.map(c => [String(c._id), c.players]));
+  res.send(list.map(g => ({ ...g, players: players[String(g._id)] || 0 })));
 });
 
 // Admin: user management (list, change role, delete)
-app.get('/api/admin/users', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
+app.get('/api/admin/users', authMiddleware, requirePermission('users:read'), async (req,res) => {
   const users = await User.find().select('-passwordHash').lean();
   res.send(users);
 });
-app.post('/api/admin/users/:id/role', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
+app.post('/api/admin/users/:id/role', authMiddleware, requirePermission('users:manage'), async (req,res) => {
   const { role } = req.body;
-  const u = await User.findById(req.params.id);
+  if(!ROLES.includes(role)) return res.status(400).send({ error: `role must be one of ${ROLES.join(', ')}` });
+  const u = await User.findById(req.params.id).catch(()=>null);
   if(!u) return res.status(404).send({ error: 'Not found' });
+  if(String(u._id) === String(req.user.id)) return res.status(400).send({ error: 'You cannot change your own role' });
+  if(u.role === 'admin' && role !== 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) return res.status(400).send({ error: 'Cannot demote the last admin' });
+  const previous = u.role;
   u.role = role; await u.save();
+  // sign the user out everywhere: the new role applies from the next login, and access tokens
+  // already issued expire within ACCESS_TOKEN_TTL
+  await revokeUserSessions(u._id);
+  await audit(req, 'user.role_change', { type: 'user', id: u._id }, { email: u.email, from: previous, to: role });
   res.send({ ok:true, user: { id: u._id, email: u.email, role: u.role } });
 });
-app.delete('/api/admin/users/:id', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
-  await User.findByIdAndDelete(req.params.id);
+app.delete('/api/admin/users/:id', authMiddleware, requirePermission('users:manage'), async (req,res) => {
+  const u = await User.findById(req.params.id).catch(()=>null);
+  if(!u) return res.status(404).send({ error: 'Not found' });
+  if(String(u._id) === String(req.user.id)) return res.status(400).send({ error: 'You cannot delete your own account here' });
+  if(u.role === 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) return res.status(400).send({ error: 'Cannot delete the last admin' });
+  await User.deleteOne({ _id: u._id });
+  await revokeUserSessions(u._id);
+  await Classroom.updateMany({ students: u._id }, { $pull: { students: u._id } });
+  await AnalyticsEvent.updateMany({ userId: u._id }, { $unset: { userId: 1 } });
+  await audit(req, 'user.delete', { type: 'user', id: u._id }, { email: u.email, role: u.role });
   res.send({ ok:true });
 });
 
-// Admin: comments moderation
-app.get('/api/admin/comments', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
-  const games = await Game.find({ 'comments.0': { $exists: true } });
-  const items = [];
-  games.forEach(g => g.comments.forEach(c => items.push({ gameId: g._id, gameTitle: g.title, comment: c })));
-  res.send(items);
+// Admin: comments moderation queue. ?status=pending|reported|approved|rejected, ?gameId, ?page
+app.get('/api/admin/comments', authMiddleware, requirePermission('comments:moderate'), async (req,res) => {
+  const status = req.query.status || 'pending';
+  if(status !== 'reported' && !COMMENT_STATUSES.includes(status)) return res.status(400).send({ error: 'Invalid status' });
+  const filter = status === 'reported' ? { reportCount: { $gt: 0 }, status: { $ne: 'rejected' } } : { status };
+  if(req.query.gameId){
+    if(!mongoose.isValidObjectId(req.query.gameId)) return res.status(400).send({ error: 'Invalid gameId' });
+    filter.gameId = req.query.gameId;
+  }
+  filter.deletedAt = null;
+  const page = Math.max(1, parseInt(req.query.page,10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit,10) || 50));
+  const [total, comments] = await Promise.all([
+    Comment.countDocuments(filter),
+    Comment.find(filter).sort(status === 'reported' ? { reportCount: -1, createdAt: -1 } : { createdAt: -1 }).skip((page-1)*limit).limit(limit)
+  ]);
+  const [games, parents] = await Promise.all([
+    Game.find({ _id: { $in: comments.map(c => c.gameId) } }).select('title'),
+    Comment.find({ _id: { $in: comments.map(c => c.parentId).filter(Boolean) } }).select('text')
+  ]);
+  const titles = new Map(games.map(g => [String(g._id), g.title]));
+  const parentTexts = new Map(parents.map(p => [String(p._id), p.text]));
+  const items = comments.map(c => ({
+    ...c.toObject(), gameTitle: titles.get(String(c.gameId)) || '', parentText: c.parentId ? parentTexts.get(String(c.parentId)) || '' : undefined
+  }));
+  res.send({ items, total, page, limit, pages: Math.ceil(total/limit), status });
 });
-app.post('/api/admin/comments/:gameId/:commentIndex/approve', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
-  const g = await Game.findById(req.params.gameId);
-  if(!g) return res.status(404).send({ error: 'Not found' });
-  const idx = parseInt(req.params.commentIndex,10);
-  if(!g.comments[idx]) return res.status(404).send({ error: 'Comment not found' });
-  g.comments[idx].approved = true; await g.save();
-  res.send({ ok:true });
+
+// Admin: bulk approve / reject ({ ids, action }). Approving also clears the comment's reports.
+app.post('/api/admin/comments/bulk', authMiddleware, requirePermission('comments:moderate'), async (req,res) => {
+  const { ids, action } = req.body;
+  if(!Array.isArray(ids) || !ids.length || ids.length > 500 || !ids.every(id => mongoose.isValidObjectId(id))) return res.status(400).send({ error: 'ids must be 1-500 comment ids' });
+  const updates = {
+    approve: { status: 'approved', reports: [], reportCount: 0 },
+    reject: { status: 'rejected' }
+  };
+  if(!updates[action]) return res.status(400).send({ error: 'action must be approve or reject' });
+  const result = await Comment.updateMany({ _id: { $in: ids } }, { ...updates[action], reviewedBy: req.user.id, reviewedAt: new Date() });
+  await audit(req, `comment.${action}`, { type: 'comment', id: ids.length === 1 ? ids[0] : undefined }, { ids, modified: result.modifiedCount });
+  res.send({ ok: true, matched: result.matchedCount, modified: result.modifiedCount });
 });
-app.delete('/api/admin/comments/:gameId/:commentIndex', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
-  const g = await Game.findById(req.params.gameId);
-  const idx = parseInt(req.params.commentIndex,10);
-  g.comments.splice(idx,1); await g.save();
-  res.send({ ok:true });
+
+// Admin: delete a comment with all of its replies
+app.delete('/api/admin/comments/:id', authMiddleware, requirePermission('comments:moderate'), async (req,res) => {
+  const c = await Comment.findById(req.params.id).catch(()=>null);
+  if(!c) return res.status(404).send({ error: 'Comment not found' });
+  // replies hang off a thread root; deleting a reply also removes the replies below it
+  const ids = [c._id];
+  for(let frontier = [c._id]; frontier.length;){
+    frontier = (await Comment.find({ parentId: { $in: frontier } }).select('_id')).map(r => r._id);
+    ids.push(...frontier);
+  }
+  await Comment.deleteMany({ _id: { $in: ids } });
+  await audit(req, 'comment.delete', { type: 'comment', id: c._id }, { gameId: c.gameId, author: c.userEmail, text: c.text.slice(0, 200), deleted: ids.length });
+  res.send({ ok: true, deleted: ids.length });
+});
+
+// Admin: audit log, newest first. Filters: ?action (exact, or a prefix like 'game.'), ?actorId,
+// ?targetType, ?targetId, ?from / ?to (dates), ?page, ?limit
+app.get('/api/admin/audit', authMiddleware, requirePermission('audit:read'), async (req,res) => {
+  const filter = {};
+  const { action, actorId, targetType, targetId, from, to } = req.query;
+  // repeated or bracketed parameters arrive as arrays and objects, which Mongo would read as operators
+  if([action, actorId, targetType, targetId, from, to].some(v => v !== undefined && typeof v !== 'string')) return res.status(400).send({ error: 'Invalid filter' });
+  if(action) filter.action = action.endsWith('.') ? new RegExp('^' + escapeRegExp(action)) : action;
+  if(actorId){
+    if(!mongoose.isValidObjectId(actorId)) return res.status(400).send({ error: 'Invalid actorId' });
+    filter.actorId = actorId;
+  }
+  if(targetType) filter.targetType = targetType;
+  if(targetId) filter.targetId = targetId;
+  if(from || to){
+    filter.createdAt = {};
+    if(from) filter.createdAt.$gte = new Date(from);
+    if(to) filter.createdAt.$lte = new Date(to);
+    if(Object.values(filter.createdAt).some(d => isNaN(d))) return res.status(400).send({ error: 'Invalid date' });
+  }
+  const page = Math.max(1, parseInt(req.query.page,10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit,10) || 50));
+  const [total, items, actions] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page-1)*limit).limit(limit),
+    AuditLog.distinct('action')
+  ]);
+  res.send({ items, total, page, limit, pages: Math.ceil(total/limit), actions: actions.sort() });
 });
 
-// Admin: analytics (basic)
-app.get('/api/admin/analytics', authMiddleware, async (req,res) => {
-  if(req.user.role !== 'admin') return res.status(403).send({ error: 'Forbidden' });
+// Admin: totals and top games
+app.get('/api/admin/analytics', authMiddleware, requirePermission('analytics:read'), async (req,res) => {
   const totalGames = await Game.countDocuments();
   const totalUsers = await User.countDocuments();
-  const topGames = await Game.find().sort({ 'leaderboard.0.score': -1 }).limit(10).select('title leaderboard');
+  const top = await LeaderboardEntry.aggregate([
+    { $match: { window: 'all' } },
+    { $group: { _id: '$gameId', topScore: { $max: '$score' }, players: { $sum: 1 } } },
+    { $sort: { topScore: -1 } },
+    { $limit: 10 }
+  ]);
+  const titles = Object.fromEntries((await Game.find({ _id: { $in: top.map(t => t._id) } }).select('title')).map(g => [String(g._id), g.title]));
+  const topGames = top.map(t => ({ _id: t._id, title: titles[String(t._id)] || '', topScore: t.topScore, players: t.players }));
   res.send({ totalGames, totalUsers, topGames });
 });
 
+// Admin analytics reports share ?from, ?to (dates, to inclusive), ?interval=day|week and the
+// filters ?gameId and ?category. Sends the error itself and returns null on bad input.
+function analyticsQuery(req,res){
+  const range = analytics.parseRange(req.query);
+  if(range.error){ res.status(400).send({ error: range.error }); return null; }
+  const match = { createdAt: { $gte: range.from, $lte: range.to } };
+  if(req.query.gameId){
+    if(!mongoose.isValidObjectId(req.query.gameId)){ res.status(400).send({ error: 'Invalid gameId' }); return null; }
+    match.gameId = new mongoose.Types.ObjectId(req.query.gameId);
+  }
+  if(typeof req.query.category === 'string' && req.query.category) match.category = req.query.category;
+  return { range, match };
+}
+const truncDate = interval => ({ $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } });
+const eventCounts = {
+  count: { $sum: 1 },
+  users: { $addToSet: '$userId' },
+  durationMs: { $sum: { $ifNull: ['$durationMs', 0] } },
+  passed: { $sum: { $cond: [{ $eq: ['$passed', true] }, 1, 0] } }
+};
+const rangeInfo = range => ({ from: range.from, to: range.to, interval: range.interval });
 
+// Daily / weekly opens, plays, completions, quiz submissions and passes, active users and average play time
+app.get('/api/admin/analytics/timeseries', authMiddleware, requirePermission('analytics:read'), async (req,res) => {
+  const q = analyticsQuery(req,res);
+  if(!q) return;
+  const rows = await AnalyticsEvent.aggregate([
+    { $match: q.match },
+    { $group: { _id: { bucket: truncDate(q.range.interval), type: '$type' }, ...eventCounts } }
+  ]);
+  res.send({ ...rangeInfo(q.range), series: analytics.buildSeries(rows, q.range) });
+});
 
-// SECRET ACCESS: Unlock games by secret password or token stored in cookie/header/query
-const GAME_SECRET = process.env.GAME_SECRET || 'skibidi123';
-function hasGameAccess(req){
-  const auth = req.headers.authorization?.split(' ')[1];
-  if(auth){
-    try{ const p = jwt.verify(auth, JWT_SECRET); if(p.role==='admin' || p.isPremium) return true; } catch(e){}
+// The same totals per game (?by=game, default) or per category (?by=category) over the range
+app.get('/api/admin/analytics/breakdown', authMiddleware, requirePermission('analytics:read'), async (req,res) => {
+  const by = req.query.by || 'game';
+  if(!['game', 'category'].includes(by)) return res.status(400).send({ error: 'by must be game or category' });
+  const q = analyticsQuery(req,res);
+  if(!q) return;
+  const rows = await AnalyticsEvent.aggregate([
+    { $match: q.match },
+    { $group: { _id: { key: by === 'game' ? '$gameId' : '$category', type: '$type' }, ...eventCounts } }
+  ]);
+  let items = analytics.buildBreakdown(rows);
+  if(by === 'game'){
+    const titles = Object.fromEntries((await Game.find({ _id: { $in: items.map(i => i.key) } }).select('title')).map(g => [String(g._id), g.title]));
+    items = items.map(i => ({ ...i, title: titles[i.key] || '(deleted game)' }));
+  } else items = items.map(i => ({ ...i, title: i.key || '(no category)' }));
+  res.send({ ...rangeInfo(q.range), by, items });
+});
+
+// Completion funnel over (user, game) pairs active in the range; anonymous events cannot be followed
+app.get('/api/admin/analytics/funnel', authMiddleware, requirePermission('analytics:read'), async (req,res) => {
+  const q = analyticsQuery(req,res);
+  if(!q) return;
+  const [row] = await AnalyticsEvent.aggregate(analytics.funnelPipeline(q.match));
+  res.send({ ...rangeInfo(q.range), steps: analytics.buildFunnel(row) });
+});
+
+// Retention cohorts: users grouped by the day / week of their first event, and how many came back
+// in each later interval up to ?to
+app.get('/api/admin/analytics/retention', authMiddleware, requirePermission('analytics:read'), async (req,res) => {
+  const q = analyticsQuery(req,res);
+  if(!q) return;
+  const { createdAt, ...filters } = q.match;
+  const rows = await AnalyticsEvent.aggregate([
+    { $match: { ...filters, userId: { $ne: null }, createdAt: { $lte: q.range.to } } },
+    { $group: { _id: '$userId', first: { $min: '$createdAt' }, buckets: { $addToSet: truncDate(q.range.interval) } } },
+    { $match: { first: { $gte: q.range.from } } }
+  ]);
+  res.send({ ...rangeInfo(q.range), cohorts: analytics.buildRetention(rows, q.range) });
+});
+
+
+
+// Unlock endpoint: exchange a game's unlock secret for a token scoped to that game
+app.post('/api/unlock', async (req,res) => {
+  const { gameId, secret } = req.body;
+  if(!gameId || !secret) return res.status(400).send({ error: 'Missing secret' });
+  const g = await Game.findById(gameId).select('+unlockSecretHash').catch(()=>null);
+  if(!g) return res.status(404).send({ error: 'Not found' });
+  if(!g.unlockSecretHash || !(await bcrypt.compare(String(secret), g.unlockSecretHash))) return res.status(403).send({ error: 'Wrong secret' });
+  const token = jwt.sign({ type: 'game_access', gameId: String(g._id) }, JWT_SECRET, { expiresIn: '7d' });
+  res.send({ ok: true, token });
+});
+
+// One-off migration: move scores embedded in Game.leaderboard into LeaderboardEntry ('all' window)
+async function migrateEmbeddedLeaderboards(){
+  const cursor = Game.collection.find({ 'leaderboard.0': { $exists: true } }, { projection: { leaderboard: 1 } });
+  for await (const doc of cursor){
+    for(const l of doc.leaderboard){
+      if(!l.userId || !isFinite(l.score)) continue;
+      await upsertBestScore({ gameId: doc._id, userId: l.userId, window: 'all', period: 'all' }, { name: l.name, score: l.score, at: l.createdAt });
+    }
+    await Game.collection.updateOne({ _id: doc._id }, { $unset: { leaderboard: '' } });
   }
-  const accessToken = req.cookies?.game_access_token || req.query?.access || req.headers['x-game-access'];
-  if(accessToken){
-    if(accessToken === GAME_SECRET) return true;
-    try{ const payload = jwt.verify(accessToken, JWT_SECRET); if(payload && payload.type === 'game_access') return true; } catch(e){}
+}
+mongoose.connection.once('open', () => migrateEmbeddedLeaderboards().catch(e => console.error('Leaderboard migration failed', e)));
+
+// One-off move of comments embedded in Game documents into the Comment collection (same ids)
+async function migrateEmbeddedComments(){
+  const cursor = Game.collection.find({ 'comments.0': { $exists: true } }, { projection: { comments: 1 } });
+  for await (const doc of cursor){
+    const docs = doc.comments.map(c => ({
+      _id: c._id, gameId: doc._id, userId: c.userId, userEmail: c.userEmail, text: c.text,
+      status: c.approved ? 'approved' : 'pending', createdAt: c.createdAt
+    }));
+    // ordered:false skips ids already copied by an interrupted earlier run
+    await Comment.insertMany(docs, { ordered: false }).catch(e => { if(e.code !== 11000 && !e.writeErrors) throw e; });
+    await Game.collection.updateOne({ _id: doc._id }, { $unset: { comments: '' } });
   }
-  return false;
 }
+mongoose.connection.once('open', () => migrateEmbeddedComments().catch(e => console.error('Comment migration failed', e)));
 
-// Unlock endpoint: exchange secret for signed token (also sets cookie)
-app.post('/api/unlock', async (req,res) => {
-  const { secret } = req.body;
-  if(!secret) return res.status(400).send({ error: 'Missing secret' });
-  if(secret === GAME_SECRET){
-    const token = jwt.sign({ type: 'game_access' }, JWT_SECRET, { expiresIn: '7d' });
-    res.cookie('game_access_token', token, { httpOnly: false, maxAge: 7*24*3600*1000 });
-    res.send({ ok: true, token });
-  } else {
-    res.status(403).send({ error: 'Wrong secret' });
+// One-time migration: ratings embedded in games move to the Rating collection and the denormalized
+// totals are filled in. Bad scores from before validation are clamped into range.
+async function migrateEmbeddedRatings(){
+  const cursor = Game.collection.find({ ratings: { $exists: true } }, { projection: { ratings: 1 } });
+  for await (const doc of cursor){
+    const latest = new Map();
+    for(const r of doc.ratings || []){
+      const score = Math.round(Number(r.score));
+      if(r.userId && isFinite(score)) latest.set(String(r.userId), { gameId: doc._id, userId: r.userId, score: Math.min(RATING_MAX, Math.max(RATING_MIN, score)) });
+    }
+    for(const r of latest.values()) await Rating.updateOne({ gameId: r.gameId, userId: r.userId }, { $setOnInsert: r }, { upsert: true });
+    const [totals] = await Rating.aggregate([{ $match: { gameId: doc._id } }, { $group: { _id: null, sum: { $sum: '$score' }, count: { $sum: 1 } } }]);
+    const sum = totals?.sum || 0, count = totals?.count || 0;
+    await Game.collection.updateOne({ _id: doc._id }, { $set: { ratingSum: sum, ratingCount: count, averageRating: count ? Math.round(sum / count * 100) / 100 : 0 }, $unset: { ratings: '' } });
   }
-});
+}
+mongoose.connection.once('open', () => migrateEmbeddedRatings().catch(e => console.error('Rating migration failed', e)));
+
+// One-off backfill of storageFolder for games and versions saved before it existed
+async function migrateStorageFolders(){
+  for(const [Model, field] of [[Game, 'filePath'], [GameVersion, 'snapshot.filePath']]){
+    const cursor = Model.collection.find({ [field]: /^\/games\/files\//, storageFolder: { $exists: false } }, { projection: { [field]: 1 } });
+    for await (const doc of cursor){
+      const filePath = field === 'filePath' ? doc.filePath : doc.snapshot.filePath;
+      await Model.collection.updateOne({ _id: doc._id }, { $set: { storageFolder: servedFolder(filePath) } });
+    }
+  }
+}
+mongoose.connection.once('open', () => migrateStorageFolders().catch(e => console.error('Storage folder migration failed', e)));
+
+// Daily storage sweep
+setInterval(() => collectOrphanedFiles().catch(e => console.error('Storage GC failed', e)), 24*3600*1000).unref();
 
-// Modify games routes to check access (if present)
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, ()=>console.log('Backend listening on', PORT));
@@ -0,0 +1,207 @@
+/**
+ * Storage for uploaded game bundles.
+ *
+ * Every game lives under a top-level folder key (e.g. `3f2a..._1700000000/index.html`) and is always
+ * served by the backend at /games/files/<key>, so the access gate in server.js covers both drivers.
+ * Objects are never public: S3 content is streamed through the backend, and locked games are
+ * handed out as signed, expiring /games/files URLs.
+ *
+ * Adapters implement:
+ *   put(key, localPath)            store one file (the local file is consumed)
+ *   putDirectory(prefix, localDir) store a folder tree under prefix (the local folder is consumed)
+ *   remove(key)                    delete a file or everything under a folder key
+ *   list()                         top-level folder keys: [{ key, modified }]
+ *   files(folder)                  paths of every file in a folder, relative to it ([] if not a folder)
+ *   serve()                        express handler for GET /games/files/*
+ *   signedUrl(key, ttlSeconds)     expiring /games/files URL, valid for the key's whole folder
+ *   verifySignature(folder, expires, sig)
+ *
+ * - 'local': files under uploads/ (default)
+ * - 's3':    a private bucket; S3_ENDPOINT points it at any S3-compatible server (see s3-local.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const URL_BASE = '/games/files';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8', '.htm': 'text/html; charset=utf-8', '.js': 'text/javascript', '.mjs': 'text/javascript',
+  '.css': 'text/css', '.json': 'application/json', '.map': 'application/json', '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8', '.xml': 'application/xml', '.wasm': 'application/wasm',
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.svg': 'image/svg+xml',
+  '.webp': 'image/webp', '.ico': 'image/x-icon', '.bmp': 'image/bmp',
+  '.mp3': 'audio/mpeg', '.ogg': 'audio/ogg', '.wav': 'audio/wav', '.m4a': 'audio/mp4', '.mp4': 'video/mp4', '.webm': 'video/webm',
+  '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.otf': 'font/otf'
+};
+function contentType(key){ return CONTENT_TYPES[path.posix.extname(key).toLowerCase()] || 'application/octet-stream'; }
+
+function topFolder(key){ return key.split('/')[0]; }
+
+// Keys are relative posix paths without . or .. segments
+function checkKey(key){
+  if(typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(seg => !seg || seg === '.' || seg === '..')) throw new Error('Invalid storage key: ' + key);
+  return key;
+}
+
+function walk(dir, base = ''){
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(d => {
+    const rel = base ? `${base}/${d.name}` : d.name;
+    if(d.isDirectory()) return walk(path.join(dir, d.name), rel);
+    return d.isFile() ? [rel] : [];
+  });
+}
+
+// URL signing shared by both drivers: the signature covers a top-level folder and an expiry
+function createSigner(secret){
+  const sign = (folder, expires) => crypto.createHmac('sha256', secret).update(`${folder}:${expires}`).digest('hex');
+  return {
+    signedUrl(key, ttlSeconds){
+      checkKey(key);
+      const expires = Math.floor(Date.now()/1000) + ttlSeconds;
+      return `${URL_BASE}/${key}?expires=${expires}&sig=${sign(topFolder(key), expires)}`;
+    },
+    verifySignature(folder, expires, sig){
+      if(!folder || !sig || !(parseInt(expires,10) > Date.now()/1000)) return false;
+      const a = Buffer.from(sign(folder, parseInt(expires,10)), 'hex'), b = Buffer.from(String(sig), 'hex');
+      return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+  };
+}
+
+function createLocalStorage({ root, secret }){
+  fs.mkdirSync(root, { recursive: true });
+  const resolve = key => {
+    const p = path.resolve(root, checkKey(key));
+    if(!p.startsWith(path.resolve(root) + path.sep)) throw new Error('Invalid storage key: ' + key);
+    return p;
+  };
+  const move = (from, to) => {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    try{ fs.renameSync(from, to); }
+    catch(e){
+      if(e.code !== 'EXDEV') throw e;
+      // different filesystem (e.g. tmp on another volume)
+      fs.cpSync(from, to, { recursive: true });
+      fs.rmSync(from, { recursive: true, force: true });
+    }
+  };
+  return {
+    name: 'local',
+    ...createSigner(secret),
+    async put(key, localPath){ move(localPath, resolve(key)); },
+    async putDirectory(prefix, localDir){ move(localDir, resolve(prefix)); },
+    async remove(key){ fs.rmSync(resolve(key), { recursive: true, force: true }); },
+    async list(){
+      return fs.readdirSync(root, { withFileTypes: true }).filter(d => !d.name.startsWith('.'))
+        .map(d => ({ key: d.name, modified: fs.statSync(path.join(root, d.name)).mtime }));
+    },
+    async files(folder){
+      // like S3, a key that is a file rather than a folder has no files under it
+      const dir = resolve(folder);
+      return fs.existsSync(dir) && fs.statSync(dir).isDirectory() ? walk(dir) : [];
+    },
+    serve(){ return express.static(root, { dotfiles: 'ignore', setHeaders: (res, p) => res.setHeader('Content-Type', contentType(p)) }); }
+  };
+}
+
+function createS3Storage({ bucket, secret, s3Options = {} }){
+  const AWS = require('aws-sdk');
+  const s3 = new AWS.S3({ signatureVersion: 'v4', ...s3Options });
+  // one PUT per object: bundle files are capped well below this by the upload limits
+  const uploadOptions = { partSize: 64 * 1024 * 1024, queueSize: 1 };
+  async function listKeys(prefix, delimiter){
+    const out = [];
+    let ContinuationToken;
+    do{
+      const page = await s3.listObjectsV2({ Bucket: bucket, Prefix: prefix, Delimiter: delimiter, ContinuationToken }).promise();
+      out.push(...(page.Contents || []).map(o => ({ key: o.Key, modified: o.LastModified })));
+      out.push(...(page.CommonPrefixes || []).map(p => ({ key: p.Prefix, modified: null })));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while(ContinuationToken);
+    return out;
+  }
+  return {
+    name: 's3',
+    ...createSigner(secret),
+    async put(key, localPath){
+      await s3.upload({ Bucket: bucket, Key: checkKey(key), Body: fs.createReadStream(localPath), ContentType: contentType(key) }, uploadOptions).promise();
+      fs.rmSync(localPath, { force: true });
+    },
+    async putDirectory(prefix, localDir){
+      for(const rel of walk(localDir)){
+        const key = `${checkKey(prefix)}/${rel}`;
+        await s3.upload({ Bucket: bucket, Key: key, Body: fs.createReadStream(path.join(localDir, rel)), ContentType: contentType(key) }, uploadOptions).promise();
+      }
+      fs.rmSync(localDir, { recursive: true, force: true });
+    },
+    async remove(key){
+      checkKey(key);
+      const keys = [key, ...(await listKeys(key + '/')).map(o => o.key)];
+      for(let i = 0; i < keys.length; i += 1000){
+        await s3.deleteObjects({ Bucket: bucket, Delete: { Objects: keys.slice(i, i+1000).map(Key => ({ Key })), Quiet: true } }).promise();
+      }
+    },
+    async list(){
+      // folders have no modified time of their own; use their newest object
+      const top = await listKeys('', '/');
+      return Promise.all(top.map(async t => {
+        if(!t.key.endsWith('/')) return t;
+        const objects = await listKeys(t.key);
+        return { key: t.key.slice(0, -1), modified: objects.reduce((m, o) => o.modified > m ? o.modified : m, new Date(0)) };
+      }));
+    },
+    async files(folder){
+      const prefix = checkKey(folder) + '/';
+      return (await listKeys(prefix)).map(o => o.key.slice(prefix.length)).filter(Boolean);
+    },
+    serve(){
+      return async (req, res, next) => {
+        if(req.method !== 'GET' && req.method !== 'HEAD') return next();
+        let key;
+        try{ key = checkKey(decodeURIComponent(req.path.slice(1))); } catch(e){ return next(); }
+        try{
+          const head = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+          res.setHeader('Content-Type', head.ContentType || contentType(key));
+          if(head.ContentLength !== undefined) res.setHeader('Content-Length', head.ContentLength);
+          if(head.ETag) res.setHeader('ETag', head.ETag);
+          if(req.method === 'HEAD') return res.end();
+          s3.getObject({ Bucket: bucket, Key: key }).createReadStream().on('error', next).pipe(res);
+        } catch(e){
+          if(e.code === 'NotFound' || e.code === 'NoSuchKey') return next();
+          next(e);
+        }
+      };
+    }
+  };
+}
+
+function createStorage(driver, opts){
+  if(driver === 'local') return createLocalStorage(opts);
+  if(driver === 's3') return createS3Storage(opts);
+  throw new Error('Unknown storage driver: ' + driver);
+}
+
+// Folder key of a stored game from its filePath: '/games/files/<folder>/...'. Legacy public S3 URLs
+// ('https://<bucket>.s3.amazonaws.com/<key>') map to their object key.
+function folderFromFilePath(filePath){
+  if(!filePath) return null;
+  if(filePath.startsWith(URL_BASE + '/')) return topFolder(filePath.slice(URL_BASE.length + 1)) || null;
+  try{ return topFolder(new URL(filePath).pathname.slice(1)) || null; } catch(e){ return null; }
+}
+
+// Deletes the top-level folders of storage that are not in referenced (a Set of folder keys) and
+// were last modified before cutoff. Returns the keys it removed, or would remove with dryRun.
+async function collectOrphans(storage, referenced, { cutoff, dryRun = false }){
+  const orphans = (await storage.list()).filter(o => !referenced.has(o.key) && o.modified && o.modified < cutoff).map(o => o.key);
+  if(!dryRun){
+    for(const key of orphans){
+      try{ await storage.remove(key); } catch(e){ console.error('Failed removing', key, e); }
+    }
+  }
+  return orphans;
+}
+
+module.exports = { createStorage, folderFromFilePath, collectOrphans, contentType, URL_BASE };
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { inspectPackage } = require('../ingest');
+
+const DEMO_ZIP = path.join(__dirname, '..', '..', 'samples', 'demo-games.zip');
+
+test('the demo package inspects as one importable game', async () => {
+  const pkg = await inspectPackage(DEMO_ZIP);
+  try{
+    assert.deepEqual(pkg.games.map(g => g.folder), ['demo-game']);
+    assert.deepEqual(pkg.games[0].errors, []);
+    assert.deepEqual(pkg.skipped, []);
+    assert.equal(typeof pkg.games[0].meta.title, 'string');
+  } finally{ pkg.close(); }
+});
+
+test('extracted game folders hold the game files but not metadata.json', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lg-ingest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const pkg = await inspectPackage(DEMO_ZIP);
+  try{
+    const dest = path.join(dir, 'demo-game_1');
+    await pkg.extract(pkg.games[0], dest);
+    assert.deepEqual(fs.readdirSync(dest), ['index.html']);
+    assert.ok(!fs.existsSync(dest + '.partial'));
+  } finally{ pkg.close(); }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPaymentProvider, createLocalProvider, signPayload, verifySignature } = require('../payments');
+
+const SECRET = 'whsec_test_secret';
+
+test('the local provider is only used when asked for by name', () => {
+  const saved = { provider: process.env.PAYMENT_PROVIDER, stripe: process.env.STRIPE_SECRET };
+  delete process.env.PAYMENT_PROVIDER;
+  delete process.env.STRIPE_SECRET;
+  try{
+    assert.equal(createPaymentProvider(), null);
+    assert.equal(createPaymentProvider('local').name, 'local');
+    assert.throws(() => createPaymentProvider('free'), /Unknown payment provider/);
+  } finally{
+    if(saved.provider !== undefined) process.env.PAYMENT_PROVIDER = saved.provider;
+    if(saved.stripe !== undefined) process.env.STRIPE_SECRET = saved.stripe;
+  }
+});
+
+test('a completed checkout delivers an event the webhook accepts', async () => {
+  const payments = createLocalProvider({ webhookSecret: SECRET });
+  const session = await payments.createCheckoutSession({ userId: 'u1', email: 'a@example.com', successUrl: '/ok', cancelUrl: '/no' });
+  const { payload, signature } = payments.completeCheckout(session.id);
+  const event = payments.verifyWebhook(payload, signature);
+  assert.equal(event.type, 'checkout.session.completed');
+  assert.equal(event.data.object.client_reference_id, 'u1');
+  const sub = await payments.getSubscription(event.data.object.subscription);
+  assert.equal(sub.status, 'active');
+});
+
+test('webhook events with a tampered body or another secret are rejected', async () => {
+  const payments = createLocalProvider({ webhookSecret: SECRET });
+  const session = await payments.createCheckoutSession({ userId: 'u1', email: 'a@example.com', successUrl: '/ok', cancelUrl: '/no' });
+  const { payload, signature } = payments.completeCheckout(session.id);
+  assert.throws(() => payments.verifyWebhook(payload.replace('u1', 'u2'), signature), /Bad signature/);
+  assert.throws(() => payments.verifyWebhook(payload, signPayload('whsec_local', payload)), /Bad signature/);
+  assert.throws(() => payments.verifyWebhook(payload, undefined), /Missing signature/);
+  assert.throws(() => payments.verifyWebhook(payload, 'v1=abc'), /Malformed signature/);
+});
+
+test('old signatures cannot be replayed', () => {
+  const payload = JSON.stringify({ id: 'evt_1', type: 'customer.subscription.deleted', data: { object: { id: 'sub_1' } } });
+  const now = Math.floor(Date.now()/1000);
+  assert.doesNotThrow(() => verifySignature(SECRET, payload, signPayload(SECRET, payload, now - 60)));
+  assert.throws(() => verifySignature(SECRET, payload, signPayload(SECRET, payload, now - 600)), /Signature expired/);
+  assert.throws(() => verifySignature(SECRET, payload, signPayload(SECRET, payload, now + 600)), /Signature expired/);
+});
+
+test('without a webhook secret each local provider signs with its own random one', async () => {
+  const a = createLocalProvider(), b = createLocalProvider();
+  const session = await a.createCheckoutSession({ userId: 'u1', email: 'a@example.com', successUrl: '/ok', cancelUrl: '/no' });
+  const { payload, signature } = a.completeCheckout(session.id);
+  assert.equal(a.verifyWebhook(payload, signature).type, 'checkout.session.completed');
+  assert.throws(() => b.verifyWebhook(payload, signature), /Bad signature/);
+  assert.throws(() => a.verifyWebhook(payload, signPayload('whsec_local', payload)), /Bad signature/);
+});
+
+test('subscription changes are signed as update and delete events', async () => {
+  const payments = createLocalProvider({ webhookSecret: SECRET });
+  const session = await payments.createCheckoutSession({ userId: 'u1', email: 'a@example.com', successUrl: '/ok', cancelUrl: '/no' });
+  const { payload, signature } = payments.completeCheckout(session.id);
+  const subId = payments.verifyWebhook(payload, signature).data.object.subscription;
+  const pastDue = payments.updateSubscription(subId, { status: 'past_due' });
+  assert.equal(payments.verifyWebhook(pastDue.payload, pastDue.signature).type, 'customer.subscription.updated');
+  const canceled = payments.updateSubscription(subId, { status: 'canceled' });
+  assert.equal(payments.verifyWebhook(canceled.payload, canceled.signature).type, 'customer.subscription.deleted');
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, folderFromFilePath, collectOrphans } = require('../storage');
+
+const SECRET = 'storage_test_secret';
+const DAY = 24*3600*1000;
+
+function tmpDir(t){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lg-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+// Stores a bundle folder with the given files and backdates it by ageMs
+async function putBundle(storage, root, folder, files, ageMs = 0){
+  const src = fs.mkdtempSync(path.join(os.tmpdir(), 'lg-bundle-'));
+  for(const [rel, content] of Object.entries(files)){
+    fs.mkdirSync(path.dirname(path.join(src, rel)), { recursive: true });
+    fs.writeFileSync(path.join(src, rel), content);
+  }
+  await storage.putDirectory(folder, src);
+  const at = new Date(Date.now() - ageMs);
+  fs.utimesSync(path.join(root, folder), at, at);
+}
+function signedParams(url){
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  return { folder: pathname.split('/')[3], expires: searchParams.get('expires'), sig: searchParams.get('sig') };
+}
+
+test('signed URLs cover their whole folder until they expire', t => {
+  const storage = createStorage('local', { root: tmpDir(t), secret: SECRET });
+  const url = storage.signedUrl('game_1/index.html', 60);
+  assert.match(url, /^\/games\/files\/game_1\/index\.html\?expires=\d+&sig=[0-9a-f]+$/);
+  const { folder, expires, sig } = signedParams(url);
+  assert.equal(storage.verifySignature(folder, expires, sig), true);
+
+  const expired = signedParams(storage.signedUrl('game_1/index.html', -1));
+  assert.equal(storage.verifySignature(expired.folder, expired.expires, expired.sig), false);
+});
+
+test('tampered signed URLs are rejected', t => {
+  const storage = createStorage('local', { root: tmpDir(t), secret: SECRET });
+  const { folder, expires, sig } = signedParams(storage.signedUrl('game_1/index.html', 60));
+  assert.equal(storage.verifySignature('game_2', expires, sig), false);
+  assert.equal(storage.verifySignature(folder, String(Number(expires) + 3600), sig), false);
+  assert.equal(storage.verifySignature(folder, expires, sig.slice(0, -1) + (sig.endsWith('0') ? '1' : '0')), false);
+  assert.equal(storage.verifySignature(folder, expires, ''), false);
+  assert.equal(storage.verifySignature(folder, expires, 'not-hex'), false);
+
+  const other = createStorage('local', { root: tmpDir(t), secret: 'another_secret' });
+  assert.equal(other.verifySignature(folder, expires, sig), false);
+});
+
+test('keys outside the storage root are refused', t => {
+  const storage = createStorage('local', { root: tmpDir(t), secret: SECRET });
+  assert.throws(() => storage.signedUrl('../etc/passwd', 60), /Invalid storage key/);
+  return assert.rejects(storage.remove('game_1/../../x'), /Invalid storage key/);
+});
+
+test('folderFromFilePath maps served paths and legacy URLs to folder keys', () => {
+  assert.equal(folderFromFilePath('/games/files/game_1/index.html'), 'game_1');
+  assert.equal(folderFromFilePath('https://bucket.s3.amazonaws.com/game_2/index.html'), 'game_2');
+  assert.equal(folderFromFilePath(''), null);
+  assert.equal(folderFromFilePath('not a url'), null);
+});
+
+test('orphan cleanup removes only old folders nothing references', async t => {
+  const root = tmpDir(t);
+  const storage = createStorage('local', { root, secret: SECRET });
+  await putBundle(storage, root, 'current', { 'index.html': 'x' }, 3*DAY);
+  await putBundle(storage, root, 'earlier_version', { 'index.html': 'x', 'img/a.png': 'x' }, 3*DAY);
+  await putBundle(storage, root, 'orphan', { 'index.html': 'x', 'img/a.png': 'x' }, 3*DAY);
+  await putBundle(storage, root, 'uploading', { 'index.html': 'x' });
+  const referenced = new Set(['current', 'earlier_version']);
+  const cutoff = new Date(Date.now() - DAY);
+
+  assert.deepEqual(await collectOrphans(storage, referenced, { cutoff, dryRun: true }), ['orphan']);
+  assert.ok(fs.existsSync(path.join(root, 'orphan')));
+
+  assert.deepEqual(await collectOrphans(storage, referenced, { cutoff }), ['orphan']);
+  assert.deepEqual((await storage.list()).map(o => o.key).sort(), ['current', 'earlier_version', 'uploading']);
+  assert.deepEqual((await storage.files('earlier_version')).sort(), ['img/a.png', 'index.html']);
+  assert.deepEqual(await storage.files('orphan'), []);
+});
+
+test('files() lists nothing for a missing folder or a single stored file', async t => {
+  const root = tmpDir(t);
+  const storage = createStorage('local', { root, secret: SECRET });
+  const upload = path.join(tmpDir(t), 'upload');
+  fs.writeFileSync(upload, '<html></html>');
+  await storage.put('legacy_upload', upload);
+  assert.deepEqual(await storage.files('legacy_upload'), []);
+  assert.deepEqual(await storage.files('missing'), []);
+});
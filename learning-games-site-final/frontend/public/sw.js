@@ -0,0 +1,71 @@
+// Service worker: keeps the hub usable without a connection (the page side is src/offline.js).
+//   shell    the page and its hashed /assets, so the hub opens offline
+//   catalog  GET /api/games and /api/games/:id (lesson and quiz included): network first, the last
+//            copy when offline
+//   games    /games/files bundles saved with "Download for offline", one cache per game, served from
+//            the cache first; the query string (signature, access token) is ignored
+// Cache names are shared with src/offline.js.
+
+const SHELL_CACHE = 'lg-shell-v1';
+const CATALOG_CACHE = 'lg-catalog';
+const CATALOG_RE = /\/api\/games(\/[a-f0-9]{24})?$/;
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(['/', '/manifest.webmanifest', '/icon.svg'])).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('lg-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// Pages: always the latest when online; offline every route gets the cached app, which routes itself
+async function page(request){
+  const cache = await caches.open(SHELL_CACHE);
+  try{
+    const response = await fetch(request);
+    if(response.ok && new URL(request.url).pathname === '/') cache.put('/', response.clone());
+    return response;
+  }catch(e){
+    return (await cache.match('/')) || Response.error();
+  }
+}
+
+async function asset(request){
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if(cached) return cached;
+  const response = await fetch(request);
+  if(response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+// Offline, a listing falls back to the last one fetched with any filters
+async function catalog(request){
+  const cache = await caches.open(CATALOG_CACHE);
+  try{
+    const response = await fetch(request);
+    if(response.ok) cache.put(request, response.clone());
+    return response;
+  }catch(e){
+    const cached = (await cache.match(request, { ignoreVary: true })) || (await cache.match(request, { ignoreSearch: true, ignoreVary: true }));
+    if(cached) return cached;
+    throw e;
+  }
+}
+
+async function gameFile(request){
+  return (await caches.match(request, { ignoreSearch: true })) || fetch(request);
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if(request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // before navigations: the game iframe's page is one too
+  if(url.pathname.startsWith('/games/files/')) event.respondWith(gameFile(request));
+  else if(request.mode === 'navigate') event.respondWith(page(request));
+  else if(CATALOG_RE.test(url.pathname)) event.respondWith(catalog(request));
+  else if(url.origin === self.location.origin && url.pathname.startsWith('/assets/')) event.respondWith(asset(request));
+});
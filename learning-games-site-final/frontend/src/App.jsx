@@ -1,62 +1,680 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import axios from 'axios';
+import { Link } from 'react-router-dom';
+import { refreshSession } from './session';
+import { useI18n, LocaleSwitcher } from './i18n';
+import { useOffline, canDownload, downloadGame, removeDownload, enqueue, flushQueue, idempotencyKey, isNetworkError } from './offline';
 const API = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
 
-export default function App(){
-  const [games, setGames] = useState([]);
+// Per-game unlock tokens, keyed by game id
+function getAccessTokens(){ try{ return JSON.parse(localStorage.getItem('game_access_tokens')) || {}; }catch(e){ return {}; } }
+function saveAccessToken(gameId, token){ localStorage.setItem('game_access_tokens', JSON.stringify({ ...getAccessTokens(), [gameId]: token })); }
+function authHeaders(gameId){
+  const headers = {};
+  const token = localStorage.getItem('token');
+  if(token) headers.Authorization = `Bearer ${token}`;
+  const access = gameId && getAccessTokens()[gameId];
+  if(access) headers['x-game-access'] = access;
+  return headers;
+}
+function withAccess(url, gameId){
+  const access = getAccessTokens()[gameId];
+  return access ? url + (url.includes('?') ? '&' : '?') + 'access=' + encodeURIComponent(access) : url;
+}
+
+// Game iframe plus the host side of the game SDK bridge (backend/public/game-sdk.js): SDK events from
+// this iframe are relayed to the backend under a play session, and 'complete' submits the score.
+// Without a connection the game still plays (if downloaded) and its final score waits in the sync queue.
+const OFFLINE_SESSION = 'offline';
+function GamePlayer({ game }){
+  const frame = useRef(null);
+  const session = useRef(null);
+  const lastScore = useRef(null);
+  const [liveScore, setLiveScore] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [board, setBoard] = useState(null);
+  const [boardWindow, setBoardWindow] = useState('all');
+  const [boardPage, setBoardPage] = useState(1);
+  const [boardVersion, setBoardVersion] = useState(0);
+  const loggedIn = !!localStorage.getItem('token');
+  const { t } = useI18n();
+
+  async function openSession(){
+    if(!loggedIn) return;
+    try{
+      const res = await axios.post(API + `/games/${game._id}/play-session`, {}, { headers: authHeaders(game._id) });
+      session.current = res.data.sessionToken; lastScore.current = null;
+    }catch(e){ session.current = isNetworkError(e) ? OFFLINE_SESSION : null; lastScore.current = null; }
+  }
+  function queueScore(score, submit = {}){
+    session.current = null;
+    if(score === null || score === undefined) return;
+    enqueue({ kind: 'leaderboard', gameId: game._id, body: { score }, headers: authHeaders(game._id), ...submit });
+    setNotice(t('offline.scoreQueued', { score }));
+    openSession();
+  }
+
+  useEffect(()=>{ fetchBoard(); }, [boardWindow, boardPage, boardVersion]);
+  async function fetchBoard(){
+    try{
+      const res = await axios.get(API + `/games/${game._id}/leaderboard`, { params: { window: boardWindow, page: boardPage, limit: 10 }, headers: authHeaders(game._id) });
+      setBoard(res.data);
+    }catch(e){ console.error(e); }
+  }
+
+  useEffect(()=>{
+    openSession();
+    async function onMessage(e){
+      if(!frame.current || e.source !== frame.current.contentWindow) return;
+      const msg = e.data;
+      if(!msg || msg.source !== 'learning-games-sdk' || !session.current) return;
+      const headers = authHeaders(game._id);
+      const sessionToken = session.current;
+      const submit = { key: idempotencyKey(), sessionToken };
+      if(msg.type === 'score'){ lastScore.current = msg.payload.score; setLiveScore(msg.payload.score); }
+      if(sessionToken === OFFLINE_SESSION){
+        if(msg.type === 'complete') queueScore(msg.payload.score ?? lastScore.current);
+        return;
+      }
+      try{
+        await axios.post(API + `/games/${game._id}/play-session/events`, { sessionToken, type: msg.type, payload: msg.payload }, { headers });
+        if(msg.type === 'complete'){
+          const score = msg.payload.score ?? lastScore.current;
+          if(score === null || score === undefined) return;
+          session.current = null;
+          await axios.post(API + `/games/${game._id}/leaderboard`, { sessionToken, score }, { headers: { ...headers, 'Idempotency-Key': submit.key } });
+          setBoardVersion(v => v + 1);
+          openSession(); // ready for another round
+        }
+      }catch(err){
+        // connection lost mid-game: the score is queued under the same key in case it did arrive
+        if(isNetworkError(err) && msg.type === 'complete') queueScore(msg.payload.score ?? lastScore.current, submit);
+        else console.error(err);
+      }
+    }
+    window.addEventListener('message', onMessage);
+    return ()=>window.removeEventListener('message', onMessage);
+  }, []);
+
+  return (
+    <div>
+      <div style={{border:'1px solid #ddd'}}>
+        {/* sandboxed iframe for safety */}
+        <iframe ref={frame} src={withAccess(game.filePath, game._id)} title={game.title} style={{width:'100%',height:420}} sandbox="allow-scripts allow-same-origin"></iframe>
+      </div>
+      {liveScore !== null && <p>{t('player.score', { score: liveScore })}</p>}
+      {notice && <p><small>{notice}</small></p>}
+      {!loggedIn && <p>{t('player.loginForLeaderboard')}</p>}
+      {board && (
+        <div>
+          <h4>{t('player.leaderboard')}</h4>
+          <div>
+            {['all','week','day'].map(w=>(
+              <button key={w} disabled={boardWindow===w} onClick={()=>{ setBoardWindow(w); setBoardPage(1); }}>{t(`player.window.${w}`)}</button>
+            ))}
+          </div>
+          {board.entries.length ? (
+            <ol>{board.entries.map(l=> <li key={l.userId} value={l.rank}>{l.name} — {l.score}</li>)}</ol>
+          ) : <p>{t('player.noScores')}</p>}
+          {board.pages > 1 && (
+            <div>
+              <button disabled={boardPage<=1} onClick={()=>setBoardPage(boardPage-1)}>{t('common.prev')}</button>
+              <span> {t('common.page', { page: board.page, pages: board.pages })} </span>
+              <button disabled={boardPage>=board.pages} onClick={()=>setBoardPage(boardPage+1)}>{t('common.next')}</button>
+            </div>
+          )}
+          {board.me && <p>{t('player.yourRank', { rank: board.me.rank, score: board.me.score })}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Answer input for one quiz question, by question type
+function QuestionInput({ q, name, value, onChange }){
+  if(q.type === 'multi'){
+    const picked = value || [];
+    return q.options.map((o,idx)=>(
+      <label key={idx} style={{display:'block'}}>
+        <input type='checkbox' checked={picked.includes(idx)} onChange={e=>onChange(e.target.checked ? [...picked, idx] : picked.filter(x => x !== idx))} /> {o}
+      </label>
+    ));
+  }
+  if(q.type === 'text') return <input value={value || ''} maxLength={200} onChange={e=>onChange(e.target.value)} />;
+  if(q.type === 'numeric') return <input type='number' step='any' value={value ?? ''} onChange={e=>onChange(e.target.value === '' ? undefined : Number(e.target.value))} />;
+  if(q.type === 'ordering'){
+    const order = value || q.options.map((_,idx)=>idx);
+    const move = (pos, dir) => { const next = [...order]; [next[pos], next[pos+dir]] = [next[pos+dir], next[pos]]; onChange(next); };
+    return (
+      <ol>{order.map((idx,pos)=>(
+        <li key={idx}>{q.options[idx]} <button disabled={pos===0} onClick={()=>move(pos,-1)}>↑</button> <button disabled={pos===order.length-1} onClick={()=>move(pos,1)}>↓</button></li>
+      ))}</ol>
+    );
+  }
+  return q.options.map((o,idx)=>(
+    <label key={idx} style={{display:'block'}}>
+      <input type='radio' name={name} checked={value === idx} onChange={()=>onChange(idx)} /> {o}
+    </label>
+  ));
+}
+
+// Quiz for the selected game: answer, submit, see per-question feedback and past attempts
+function Quiz({ game }){
+  const [answers, setAnswers] = useState([]);
+  const [result, setResult] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+  const [queued, setQueued] = useState(false);
+  const loggedIn = !!localStorage.getItem('token');
+  const { t, formatDateTime } = useI18n();
+
+  useEffect(()=>{ if(loggedIn) fetchAttempts(); }, []);
+  async function fetchAttempts(){
+    try{ const res = await axios.get(API + '/me/progress', { params: { gameId: game._id }, headers: authHeaders() }); setAttempts(res.data.attempts); }
+    catch(e){ console.error(e); }
+  }
+
+  // offline, the answers wait in the sync queue and are graded once they reach the server
+  async function submit(){
+    // an untouched ordering question is submitted in the order shown
+    const submitted = game.quizzes.map((q,i) => answers[i] ?? (q.type === 'ordering' ? q.options.map((_,idx)=>idx) : null));
+    const key = idempotencyKey();
+    try{
+      const res = await axios.post(API + `/games/${game._id}/quiz`, { answers: submitted }, { headers: { ...authHeaders(game._id), 'Idempotency-Key': key } });
+      setResult(res.data); fetchAttempts();
+    }catch(e){
+      if(!isNetworkError(e)) return alert(t('quiz.submitFailed'));
+      enqueue({ kind: 'quiz', gameId: game._id, body: { answers: submitted }, headers: authHeaders(game._id), key });
+      setQueued(true);
+    }
+  }
+
+  function answer(i, value){ const next = [...answers]; next[i] = value; setAnswers(next); setResult(null); setQueued(false); }
 
-const [locked, setLocked] = useState(true);
-const [secretInput, setSecretInput] = useState('');
+  if(!game.quizzes?.length) return null;
+  return (
+    <div>
+      <h3>{t('quiz.title')}</h3>
+      <ol>
+        {game.quizzes.map((q,i)=>{
+          const r = result?.results[i];
+          return (
+            <li key={q._id || i} style={{marginBottom:8}}>
+              <div lang={game.locale} dir='auto'>{q.question}</div>
+              <QuestionInput q={q} name={`q${i}`} value={answers[i]} onChange={v=>answer(i, v)} />
+              {r && <QuestionResult r={r} />}
+            </li>
+          );
+        })}
+      </ol>
+      {loggedIn ? <button onClick={submit}>{t('quiz.submit')}</button> : <p>{t('quiz.loginToSubmit')}</p>}
+      {result && <p><strong>{t('quiz.score', { score: result.score, total: result.total })}</strong></p>}
+      {queued && <p><small>{t('offline.quizQueued')}</small></p>}
+      {attempts.length > 0 && (
+        <div>
+          <h4>{t('quiz.pastAttempts')}</h4>
+          <ul>{attempts.map(a=> <li key={a._id}>{formatDateTime(a.createdAt)} — {a.score} / {a.total}</li>)}</ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Feedback line for one graded question, shared by the quiz and lesson checkpoints
+function QuestionResult({ r }){
+  const { t } = useI18n();
+  return (
+    <div style={{color: r.correct ? 'green' : 'crimson'}}>
+      {r.correct ? t('quiz.correct') : r.credit > 0 ? t('quiz.partlyRight', { percent: Math.round(r.credit*100) }) : t('quiz.notQuite')}
+      {!r.correct && r.correctAnswer && t('quiz.answer', { answer: r.correctAnswer })}
+      {r.explanation && <div style={{color:'#555'}}>{r.explanation}</div>}
+    </div>
+  );
+}
 
-function getAccessToken(){ return localStorage.getItem('game_access_token'); }
+// Practice questions at the end of a lesson section; checked by the server but not recorded
+function Checkpoint({ game, questions }){
+  const [answers, setAnswers] = useState({});
+  const [results, setResults] = useState(null);
+  const { t } = useI18n();
+  async function check(){
+    try{
+      const submitted = questions.map(i => answers[i] ?? (game.quizzes[i].type === 'ordering' ? game.quizzes[i].options.map((_,idx)=>idx) : null));
+      const res = await axios.post(API + `/games/${game._id}/checkpoint`, { questions, answers: submitted }, { headers: authHeaders(game._id) });
+      setResults(res.data.results);
+    }catch(e){ alert(t('checkpoint.failed')); }
+  }
+  return (
+    <div style={{background:'#f4f7fb',padding:10,borderRadius:6,margin:'10px 0'}}>
+      <strong>{t('checkpoint.title')}</strong>
+      {questions.map((i,n)=>(
+        <div key={i} style={{margin:'6px 0'}}>
+          <div lang={game.locale} dir='auto'>{game.quizzes[i].question}</div>
+          <QuestionInput q={game.quizzes[i]} name={`checkpoint${i}`} value={answers[i]} onChange={v=>{ setAnswers({ ...answers, [i]: v }); setResults(null); }} />
+          {results && <QuestionResult r={results[n]} />}
+        </div>
+      ))}
+      <button onClick={check}>{t('checkpoint.check')}</button>
+    </div>
+  );
+}
 
-async function unlock(){
-  try{
-    const res = await axios.post(API + '/unlock', { secret: secretInput });
-    if(res.data.token){ localStorage.setItem('game_access_token', res.data.token); alert('Unlocked! Refresh to access games.'); setLocked(false); }
-  }catch(e){ alert('Wrong secret'); }
+// The lesson as steps: one per section (HTML sanitized by the server) with its checkpoint, then the
+// quiz. Steps stay mounted so answers survive moving back and forth.
+function Lesson({ game }){
+  const [step, setStep] = useState(0);
+  const { t } = useI18n();
+  const steps = [...(game.lesson?.sections || []), ...(game.quizzes?.length ? [{ quiz: true, title: t('quiz.title') }] : [])];
+  if(!steps.length) return null;
+  return (
+    <div>
+      <h3>{t('lesson.title', { title: game.lesson?.title || '' })}</h3>
+      {steps.length > 1 && (
+        <ol style={{display:'flex',gap:6,listStyle:'none',padding:0}}>
+          {steps.map((s,i)=> <li key={i}><button onClick={()=>setStep(i)} style={{fontWeight:i===step?'bold':'normal'}}>{i+1}. {s.title || (i === 0 ? t('lesson.introduction') : t('lesson.part', { n: i+1 }))}</button></li>)}
+        </ol>
+      )}
+      {steps.map((s,i)=>(
+        <div key={i} style={{display:i===step?'block':'none'}}>
+          {s.quiz ? <Quiz game={game} /> : (
+            <div>
+              {s.title && <h4>{s.title}</h4>}
+              <div lang={game.locale} dir='auto' dangerouslySetInnerHTML={{__html: s.html}} />
+              {s.checkpoint.length > 0 && <Checkpoint game={game} questions={s.checkpoint} />}
+            </div>
+          )}
+        </div>
+      ))}
+      {steps.length > 1 && (
+        <div>
+          <button disabled={step===0} onClick={()=>setStep(step-1)}>{t('lesson.back')}</button>{' '}
+          <span>{t('lesson.step', { step: step+1, steps: steps.length })}</span>{' '}
+          <button disabled={step===steps.length-1} onClick={()=>setStep(step+1)}>{t('lesson.next')}</button>
+        </div>
+      )}
+    </div>
+  );
 }
 
-useEffect(()=>{ (async()=>{ try{ const token=getAccessToken(); const res = await axios.get(API+'/games', { headers: token?{Authorization:`Bearer ${token}`}:{} }); setGames(res.data); setLocked(false); }catch(e){ setLocked(true); } })(); }, []);
+// Comment threads: approved comments (plus your own pending ones) with replies, edit, delete and report
+function Comments({ game }){
+  const [data, setData] = useState({ items: [], page: 1, pages: 0, total: 0 });
+  const [text, setText] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [notice, setNotice] = useState('');
+  const loggedIn = !!localStorage.getItem('token');
+  const { t, formatDateTime } = useI18n();
+
+  useEffect(()=>{ fetchComments(1); }, []);
+  async function fetchComments(page){
+    try{ const res = await axios.get(API + `/games/${game._id}/comments`, { params: { page }, headers: authHeaders(game._id) }); setData(res.data); }
+    catch(e){ console.error(e); }
+  }
 
+  // moderation may publish a comment right away, hold it for review, or turn it down with reasons
+  function explain(e, fallback){
+    const data = e.response?.data;
+    setNotice(data?.reasons?.length ? `${data.error}: ${data.reasons.join(', ')}.` : (data?.error || fallback));
+  }
+  function posted(c){ setNotice(c.status === 'pending' ? t('comments.pending') : ''); }
+  async function post(){
+    try{
+      const res = await axios.post(API + `/games/${game._id}/comments`, { text, parentId: replyTo?._id }, { headers: authHeaders(game._id) });
+      setText(''); setReplyTo(null); posted(res.data); fetchComments(replyTo ? data.page : 1);
+    }catch(e){ explain(e, t('comments.postFailed')); }
+  }
+  async function saveEdit(){
+    try{
+      const res = await axios.patch(API + `/comments/${editing._id}`, { text: editing.text }, { headers: authHeaders() });
+      setEditing(null); posted(res.data); fetchComments(data.page);
+    }catch(e){ setEditing(null); explain(e, t('comments.saveFailed')); fetchComments(data.page); }
+  }
+  async function remove(c){
+    if(!confirm(t('comments.confirmDelete'))) return;
+    await axios.delete(API + `/comments/${c._id}`, { headers: authHeaders() });
+    fetchComments(data.page);
+  }
+  async function report(c){
+    const reason = prompt(t('comments.reportReason'));
+    if(reason === null) return;
+    try{ await axios.post(API + `/comments/${c._id}/report`, { reason }, { headers: authHeaders() }); alert(t('comments.reported')); }
+    catch(e){ alert(e.response?.data?.error || t('comments.reportFailed')); }
+  }
 
+  function renderComment(c){
+    if(c.deleted) return <div style={{color:'#888'}}>{t('comments.deleted')}</div>;
+    if(editing?._id === c._id) return (
+      <div>
+        <textarea value={editing.text} maxLength={2000} onChange={e=>setEditing({ ...editing, text: e.target.value })} />
+        <button onClick={saveEdit}>{t('common.save')}</button> <button onClick={()=>setEditing(null)}>{t('common.cancel')}</button>
+      </div>
+    );
+    return (
+      <div>
+        <strong>{c.name}</strong> <small>{formatDateTime(c.createdAt)}{c.editedAt ? t('comments.edited') : ''}{c.status === 'pending' ? t('comments.awaitingApproval') : ''}</small>
+        <div style={{whiteSpace:'pre-wrap'}}>{c.text}</div>
+        {loggedIn && (
+          <small>
+            <button onClick={()=>setReplyTo(c)}>{t('comments.reply')}</button>
+            {c.mine ? (
+              <> <button onClick={()=>setEditing({ _id: c._id, text: c.text })}>{t('common.edit')}</button> <button onClick={()=>remove(c)}>{t('common.delete')}</button></>
+            ) : <> <button onClick={()=>report(c)}>{t('comments.report')}</button></>}
+          </small>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h3>{t('comments.title', { total: data.total })}</h3>
+      {loggedIn ? (
+        <div style={{marginBottom:10}}>
+          {replyTo && <div><small>{t('comments.replyingTo', { name: replyTo.name })} <button onClick={()=>setReplyTo(null)}>{t('common.cancel')}</button></small></div>}
+          <textarea placeholder={t('comments.placeholder')} value={text} maxLength={2000} onChange={e=>setText(e.target.value)} />
+          <button disabled={!text.trim()} onClick={post}>{t('comments.post')}</button>
+          {notice && <div><small>{notice}</small></div>}
+        </div>
+      ) : <p>{t('comments.loginToComment')}</p>}
+      <ul>
+        {data.items.map(c=>(
+          <li key={c._id} style={{marginBottom:8}}>
+            {renderComment(c)}
+            {c.replies.length > 0 && <ul>{c.replies.map(r=> <li key={r._id}>{renderComment(r)}</li>)}</ul>}
+          </li>
+        ))}
+      </ul>
+      {data.pages > 1 && (
+        <div>
+          <button disabled={data.page<=1} onClick={()=>fetchComments(data.page-1)}>{t('comments.newer')}</button>
+          <span> {t('common.page', { page: data.page, pages: data.pages })} </span>
+          <button disabled={data.page>=data.pages} onClick={()=>fetchComments(data.page+1)}>{t('comments.older')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Classes the learner joined with a code, and their assignments
+function MyClasses({ onOpenGame }){
+  const [classes, setClasses] = useState([]);
+  const [code, setCode] = useState('');
+  const { t, formatDate } = useI18n();
+
+  useEffect(()=>{ fetchClasses(); }, []);
+  async function fetchClasses(){
+    try{ const res = await axios.get(API + '/me/classrooms', { headers: authHeaders() }); setClasses(res.data); }
+    catch(e){ console.error(e); }
+  }
+  async function join(){
+    try{
+      const res = await axios.post(API + '/classrooms/join', { code }, { headers: authHeaders() });
+      setCode(''); alert(t('classes.joined', { name: res.data.name })); fetchClasses();
+    }catch(e){ alert(e.response?.data?.error || t('classes.joinFailed')); }
+  }
+
+  return (
+    <div style={{marginBottom:10}}>
+      <h3>{t('classes.title')}</h3>
+      {classes.map(c=>(
+        <div key={c._id}>
+          <strong>{c.name}</strong>
+          <ul>{c.assignments.map(a=>(
+            <li key={a._id}>
+              <button onClick={()=>onOpenGame(a.gameId)}>{a.title}</button>
+              {a.dueAt ? t('classes.due', { date: formatDate(a.dueAt) }) : ''} — {t(`status.${a.status}`)}{a.total ? ` (${a.bestScore}/${a.total})` : ''}
+              {a.instructions && <div><small>{a.instructions}</small></div>}
+            </li>
+          ))}</ul>
+        </div>
+      ))}
+      <input placeholder={t('classes.code')} value={code} maxLength={10} onChange={e=>setCode(e.target.value)} />
+      <button disabled={!code.trim()} onClick={join}>{t('classes.join')}</button>
+    </div>
+  );
+}
+
+const stars = n => '★'.repeat(n) + '☆'.repeat(5 - n);
+function ratingLabel(g){ return g.ratingCount ? `★ ${g.averageRating.toFixed(1)} (${g.ratingCount})` : ''; }
+
+// Heart and star controls in the game panel; onChange reloads the learner's lists and the game's average
+function GameReactions({ game, mine, onChange }){
+  const favorited = mine.favorites.some(f => f._id === game._id);
+  const myScore = mine.ratings.find(r => r.game._id === game._id)?.score || 0;
+  const [hover, setHover] = useState(0);
+  const { t } = useI18n();
+
+  async function toggleFavorite(){
+    try{ await axios.post(API + `/games/${game._id}/favorite`, {}, { headers: authHeaders(game._id) }); onChange(); }
+    catch(e){ alert(e.response?.data?.error || t('reactions.favoriteFailed')); }
+  }
+  async function rate(score){
+    try{
+      const res = score === myScore
+        ? await axios.delete(API + `/games/${game._id}/rate`, { headers: authHeaders() })
+        : await axios.post(API + `/games/${game._id}/rate`, { score }, { headers: authHeaders(game._id) });
+      onChange(res.data);
+    }catch(e){ alert(e.response?.data?.error || t('reactions.rateFailed')); }
+  }
+
+  return (
+    <div style={{marginBottom:10}}>
+      <button onClick={toggleFavorite} title={t(favorited ? 'reactions.removeFavorite' : 'reactions.addFavorite')} style={{color:'crimson'}}>{favorited ? '♥' : '♡'}</button>{' '}
+      <span onMouseLeave={()=>setHover(0)}>
+        {[1,2,3,4,5].map(n=>(
+          <button key={n} onMouseEnter={()=>setHover(n)} onClick={()=>rate(n)} title={n === myScore ? t('reactions.removeRating') : t('reactions.rate', { n })}
+            style={{border:'none',background:'none',cursor:'pointer',fontSize:'1.2em',padding:0,color:'#e6a700'}}>{n <= (hover || myScore) ? '★' : '☆'}</button>
+        ))}
+      </span>{' '}
+      <small>{game.ratingCount ? t('reactions.average', { average: game.averageRating.toFixed(1), count: game.ratingCount }) : t('reactions.noRatings')}</small>
+    </div>
+  );
+}
+
+// "Download for offline" in the game panel
+function OfflineDownload({ game }){
+  const offline = useOffline();
+  const [busy, setBusy] = useState(false);
+  const { t } = useI18n();
+  if(!canDownload() || !game.filePath) return null;
+  async function download(){
+    setBusy(true);
+    try{ await downloadGame(game, authHeaders(game._id)); }
+    catch(e){ console.error(e); alert(t('offline.downloadFailed')); }
+    setBusy(false);
+  }
+  if(offline.downloads[game._id]) return <p><small>{t('offline.downloaded')} <button onClick={()=>removeDownload(game._id)}>{t('offline.remove')}</button></small></p>;
+  return <p><button disabled={busy || !offline.online} onClick={download}>{busy ? t('offline.downloading') : t('offline.download')}</button></p>;
+}
+
+// The learner's favorites, recently played games and the ratings they gave
+function MyGames({ mine, onOpenGame }){
+  const { t, formatDate } = useI18n();
+  return (
+    <div>
+      <h3>{t('mine.favorites')}</h3>
+      {mine.favorites.length ? <ul>{mine.favorites.map(g=> <li key={g._id}><button onClick={()=>onOpenGame(g)}>{g.locked ? '🔒 ' : ''}{g.title}</button> <small>{ratingLabel(g)}</small></li>)}</ul> : <p>{t('mine.noFavorites')}</p>}
+      <h3>{t('mine.recent')}</h3>
+      {mine.recent.length ? <ul>{mine.recent.map(r=> (
+        <li key={r.game._id}><button onClick={()=>onOpenGame(r.game)}>{r.game.title}</button> <small>{formatDate(r.lastPlayedAt)}{r.completed ? t('mine.completed') : ''}</small></li>
+      ))}</ul> : <p>{t('mine.noRecent')}</p>}
+      <h3>{t('mine.ratings')}</h3>
+      {mine.ratings.length ? <ul>{mine.ratings.map(r=> (
+        <li key={r.game._id}><button onClick={()=>onOpenGame(r.game)}>{r.game.title}</button> <span style={{color:'#e6a700'}}>{stars(r.score)}</span></li>
+      ))}</ul> : <p>{t('mine.noRatings')}</p>}
+    </div>
+  );
+}
+
+export default function App(){
+  const [games, setGames] = useState([]);
   const [q, setQ] = useState('');
   const [selected, setSelected] = useState(null);
+  const [secretInput, setSecretInput] = useState('');
+  const [isPremium, setIsPremium] = useState(false);
+  const [view, setView] = useState('all');
+  const [mine, setMine] = useState({ favorites: [], recent: [], ratings: [] });
+  const { t, locale } = useI18n();
+  const offline = useOffline();
+
+  // refresh first so premium status (e.g. right after checkout) is in the token we list games with
+  const [search, setSearch] = useState({ q: '', category: '', tags: [], sort: '', page: 1 });
+  const [results, setResults] = useState({ total: 0, page: 1, pages: 0, facets: { categories: [], tags: [] } });
+
+  useEffect(()=>{ refreshToken().then(()=>{ fetchGames(); fetchMine(); }); }, []);
+  // game content comes in the UI language where the game has it, so a switch reloads what is shown
+  const loadedLocale = useRef(locale);
+  useEffect(()=>{
+    if(locale === loadedLocale.current) return;
+    loadedLocale.current = locale;
+    fetchGames({ page: search.page }); fetchMine();
+    if(selected) selectGame(selected);
+  }, [locale]);
+  async function fetchGames(changes = {}){
+    const next = { ...search, page: 1, ...changes };
+    setSearch(next);
+    const params = { q: next.q || undefined, category: next.category || undefined, tag: next.tags, sort: next.sort || undefined, page: next.page };
+    try{
+      const res = await axios.get(API + '/games', { params, headers: authHeaders() });
+      setGames(res.data.items); setResults(res.data);
+    }catch(e){ console.error(e); }
+  }
+  async function fetchMine(){
+    if(!localStorage.getItem('token')) return;
+    try{
+      const [favorites, recent, ratings] = await Promise.all(['/me/favorites', '/me/recent', '/me/ratings'].map(path => axios.get(API + path, { headers: authHeaders() })));
+      setMine({ favorites: favorites.data, recent: recent.data, ratings: ratings.data });
+    }catch(e){ console.error(e); }
+  }
+  // After a favorite or rating change: new totals go into the open game and the listing
+  function reactionsChanged(totals){
+    if(totals){
+      const apply = g => g._id === selected._id ? { ...g, averageRating: totals.averageRating, ratingCount: totals.ratingCount } : g;
+      setSelected(apply(selected)); setGames(games.map(apply));
+    }
+    fetchMine();
+  }
+  function toggleTag(tag){ fetchGames({ tags: search.tags.includes(tag) ? search.tags.filter(t => t !== tag) : [...search.tags, tag] }); }
 
-  useEffect(()=>{ fetchGames(); }, []);
-  async function fetchGames(){ const res = await axios.get(API + '/games'); setGames(res.data); }
+  async function refreshToken(){
+    if(!localStorage.getItem('refreshToken')) return;
+    try{ const data = await refreshSession(); setIsPremium(data.isPremium); }
+    catch(e){ console.error(e); }
+  }
+
+  async function goPremium(){
+    try{
+      const res = await axios.post(API + '/stripe/create-checkout-session', {}, { headers: authHeaders() });
+      window.location = res.data.url;
+    }catch(e){ alert(t('app.checkoutFailed')); }
+  }
+
+  async function selectGame(g){
+    setSecretInput('');
+    if(g.locked){ setSelected(g); return; }
+    try{
+      const res = await axios.get(API + '/games/' + g._id, { headers: authHeaders(g._id) });
+      setSelected(res.data);
+    }catch(e){ setSelected({ ...g, locked: true }); }
+  }
+
+  async function unlock(){
+    try{
+      const res = await axios.post(API + '/unlock', { gameId: selected._id, secret: secretInput });
+      if(res.data.token){
+        saveAccessToken(selected._id, res.data.token);
+        setGames(games.map(g => g._id === selected._id ? { ...g, locked: false } : g));
+        await selectGame({ ...selected, locked: false });
+      }
+    }catch(e){ alert(t('app.wrongSecret')); }
+  }
 
   return (
     <div style={{fontFamily:'system-ui',padding:20}}>
-      <h1>Learning Games Hub</h1>\n      {locked && (\n        <div style={{background:'#fff3',padding:12,borderRadius:6,marginBottom:12}}>\n          <p>Games are locked. Enter secret to unlock.</p>\n          <input placeholder='Enter secret' value={secretInput} onChange={e=>setSecretInput(e.target.value)} />\n          <button onClick={unlock}>Unlock</button>\n        </div>\n      )}
+      <h1>{t('app.title')}</h1>
+      <p><Link to='/account'>{localStorage.getItem('token') ? t('app.myAccount') : t('app.logInOrSignUp')}</Link> · <LocaleSwitcher /></p>
+      {!offline.online && <p style={{background:'#fff0c2',padding:8,borderRadius:6}}>{t('offline.offline')}</p>}
+      {offline.queued > 0 && <p><small>{t('offline.queued', { count: offline.queued })} <button disabled={!offline.online || offline.syncing} onClick={flushQueue}>{t('offline.syncNow')}</button></small></p>}
+      {offline.lastSync && <p><small>{t('offline.synced', { count: offline.lastSync.synced })}{offline.lastSync.failed ? t('offline.syncFailed', { count: offline.lastSync.failed }) : ''}</small></p>}
+      {localStorage.getItem('token') && !isPremium && <button onClick={goPremium} style={{marginBottom:10}}>{t('app.goPremium')}</button>}
       <div style={{marginBottom:10}}>
-        <input placeholder='Search' value={q} onChange={e=>setQ(e.target.value)} />
-        <button onClick={async()=>{ const res=await axios.get(API+'/games',{params:{q}}); setGames(res.data); }}>Search</button>
+        <input placeholder={t('app.search')} value={q} maxLength={100} onChange={e=>setQ(e.target.value)} onKeyDown={e=>{ if(e.key==='Enter') fetchGames({ q, sort: '' }); }} />
+        <button onClick={()=>fetchGames({ q, sort: '' })}>{t('app.search')}</button>
+        <select value={search.category} onChange={e=>fetchGames({ category: e.target.value })}>
+          <option value=''>{t('common.allCategories')}</option>
+          {results.facets.categories.map(c=> <option key={c.value} value={c.value}>{c.value} ({c.count})</option>)}
+        </select>
+        <select value={search.sort} onChange={e=>fetchGames({ sort: e.target.value })}>
+          <option value=''>{search.q ? t('app.sort.bestMatch') : t('app.sort.newest')}</option>
+          <option value='newest'>{t('app.sort.newest')}</option>
+          <option value='top-rated'>{t('app.sort.topRated')}</option>
+          <option value='most-played'>{t('app.sort.mostPlayed')}</option>
+        </select>
+        <div style={{marginTop:6}}>
+          {results.facets.tags.map(tag=>(
+            <button key={tag.value} onClick={()=>toggleTag(tag.value)} style={{marginInlineEnd:4,fontWeight:search.tags.includes(tag.value)?'bold':'normal'}}>#{tag.value} ({tag.count})</button>
+          ))}
+        </div>
       </div>
       <div style={{display:'flex',gap:20}}>
         <div style={{width:300}}>
-          <h3>Games</h3>
-          <ul>
-            {games.map(g=>(
-              <li key={g._id}><button onClick={()=>setSelected(g)}>{g.title}</button></li>
-            ))}
-          </ul>
+          {localStorage.getItem('token') && (
+            <div style={{marginBottom:10}}>
+              <button disabled={view==='all'} onClick={()=>setView('all')}>{t('common.allGames')}</button>{' '}
+              <button disabled={view==='mine'} onClick={()=>{ setView('mine'); fetchMine(); }}>{t('app.myGames')}</button>
+            </div>
+          )}
+          {view === 'mine' && localStorage.getItem('token') ? <MyGames mine={mine} onOpenGame={selectGame} /> : (
+            <>
+              {localStorage.getItem('token') && <MyClasses onOpenGame={id=>selectGame(games.find(g => g._id === id) || { _id: id })} />}
+              <h3>{t('app.games')}</h3>
+              <ul>
+                {games.map(g=>(
+                  <li key={g._id}><button onClick={()=>selectGame(g)}>{g.locked ? '🔒 ' : ''}{g.title}</button> <small>{ratingLabel(g)}{offline.downloads[g._id] ? ` · ${t('offline.badge')}` : ''}</small></li>
+                ))}
+              </ul>
+              <p>{t('app.gameCount', { count: results.total })}</p>
+              {results.pages > 1 && (
+                <div>
+                  <button disabled={search.page<=1} onClick={()=>fetchGames({ page: search.page-1 })}>{t('common.prev')}</button>
+                  <span> {t('common.page', { page: results.page, pages: results.pages })} </span>
+                  <button disabled={search.page>=results.pages} onClick={()=>fetchGames({ page: search.page+1 })}>{t('common.next')}</button>
+                </div>
+              )}
+            </>
+          )}
         </div>
         <div style={{flex:1}}>
           {selected ? (
             <div>
-              <h2>{selected.title}</h2>
-              <p>{selected.description}</p>
-              {selected.filePath && (
-                <div style={{border:'1px solid #ddd'}}>
-                  {/* sandboxed iframe for safety */}
-                  <iframe src={selected.filePath} title={selected.title} style={{width:'100%',height:420}} sandbox="allow-scripts allow-same-origin"></iframe>
+              {/* content may be in another language than the UI: dir='auto' lays it out by its own script */}
+              <h2 lang={selected.locale} dir='auto'>{selected.title}</h2>
+              {selected.locale && selected.locale.split('-')[0] !== locale && (
+                <p><small>{t('app.translationMissing', { language: new Intl.DisplayNames([locale], { type: 'language' }).of(selected.locale) })}</small></p>
+              )}
+              <p lang={selected.locale} dir='auto'>{selected.description}</p>
+              {localStorage.getItem('token') && !selected.locked ? <GameReactions game={selected} mine={mine} onChange={reactionsChanged} /> : <p><small>{ratingLabel(selected)}</small></p>}
+              {selected.locked && (
+                <div style={{background:'#fff3',padding:12,borderRadius:6,marginBottom:12}}>
+                  <p>{t('app.locked')}</p>
+                  <input placeholder={t('app.enterSecret')} value={secretInput} onChange={e=>setSecretInput(e.target.value)} />
+                  <button onClick={unlock}>{t('app.unlock')}</button>
                 </div>
               )}
-              <h3>Lesson: {selected.lesson?.title}</h3>
-              <div dangerouslySetInnerHTML={{__html: selected.lesson?.content}} />
+              {!selected.locked && selected.filePath && (
+                <>
+                  <GamePlayer key={selected._id} game={selected} />
+                  <OfflineDownload game={selected} />
+                </>
+              )}
+              {!selected.locked && (
+                <>
+                  <Lesson key={'lesson-' + selected._id} game={selected} />
+                  <Comments key={'comments-' + selected._id} game={selected} />
+                </>
+              )}
             </div>
-          ) : <div>Select a game</div>}
+          ) : <div>{t('app.selectGame')}</div>}
         </div>
       </div>
     </div>
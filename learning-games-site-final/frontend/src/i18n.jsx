@@ -0,0 +1,89 @@
+import React, { useSyncExternalStore } from 'react';
+import axios from 'axios';
+import en from './locales/en.json';
+import fr from './locales/fr.json';
+import es from './locales/es.json';
+import ar from './locales/ar.json';
+
+// UI language: message catalogs in ./locales, the choice kept in localStorage ('locale'). Importing
+// this module sets <html lang dir> and sends the language as Accept-Language on every API request,
+// so game content comes back translated where the game has it (backend/i18n.js).
+//
+// Keys missing from a catalog fall back to English. Plural messages take a count and are looked up
+// as key_<plural category> (key_one, key_other, ... per Intl.PluralRules), then key_other, then key.
+
+export const LOCALES = {
+  en: { name: 'English', messages: en },
+  fr: { name: 'Français', messages: fr },
+  es: { name: 'Español', messages: es },
+  ar: { name: 'العربية', messages: ar }
+};
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur'];
+export const isRtl = locale => RTL_LANGUAGES.includes(locale.split('-')[0]);
+
+function initialLocale(){
+  const saved = localStorage.getItem('locale');
+  if(LOCALES[saved]) return saved;
+  const browser = (navigator.languages || [navigator.language]).map(l => String(l).split('-')[0]).find(l => LOCALES[l]);
+  return browser || 'en';
+}
+
+let current = initialLocale();
+const listeners = new Set();
+function applyToDocument(){
+  document.documentElement.lang = current;
+  document.documentElement.dir = isRtl(current) ? 'rtl' : 'ltr';
+}
+applyToDocument();
+
+export function getLocale(){ return current; }
+export function setLocale(locale){
+  if(!LOCALES[locale] || locale === current) return;
+  current = locale;
+  localStorage.setItem('locale', locale);
+  applyToDocument();
+  listeners.forEach(fn => fn());
+}
+function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+
+function lookup(locale, key, count){
+  const messages = LOCALES[locale]?.messages || {};
+  if(typeof count === 'number'){
+    const category = new Intl.PluralRules(locale).select(count);
+    return messages[`${key}_${category}`] ?? messages[`${key}_other`] ?? messages[key];
+  }
+  return messages[key];
+}
+
+export function translate(locale, key, vars = {}){
+  const message = lookup(locale, key, vars.count) ?? lookup('en', key, vars.count) ?? key;
+  return message.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m);
+}
+
+// Current locale plus t() and date formatting for it; components re-render when it changes
+export function useI18n(){
+  const locale = useSyncExternalStore(subscribe, getLocale);
+  return {
+    locale,
+    t: (key, vars) => translate(locale, key, vars),
+    formatDate: d => new Date(d).toLocaleDateString(locale),
+    formatDateTime: d => new Date(d).toLocaleString(locale)
+  };
+}
+
+export function LocaleSwitcher(){
+  const { locale, t } = useI18n();
+  return (
+    <label>
+      {t('locale.label')}{' '}
+      <select value={locale} onChange={e=>setLocale(e.target.value)}>
+        {Object.entries(LOCALES).map(([code, l])=> <option key={code} value={code} lang={code}>{l.name}</option>)}
+      </select>
+    </label>
+  );
+}
+
+axios.interceptors.request.use(config => {
+  if(!config.headers.get('Accept-Language')) config.headers.set('Accept-Language', current);
+  return config;
+});
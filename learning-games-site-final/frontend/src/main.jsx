@@ -3,12 +3,20 @@ import { createRoot } from 'react-dom/client';
 import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import App from './App';
 import Admin from './pages/Admin';
+import Teacher from './pages/Teacher';
+import Account from './pages/Account';
+import './session';
+import './i18n';
 import './styles.css';
 createRoot(document.getElementById('root')).render(
   <BrowserRouter>
     <Routes>
       <Route path='/' element={<App />} />
       <Route path='/admin/*' element={<Admin />} />
+      <Route path='/teacher/*' element={<Teacher />} />
+      <Route path='/account' element={<Account />} />
+      <Route path='/reset-password' element={<Account />} />
+      <Route path='/verify-email' element={<Account />} />
     </Routes>
   </BrowserRouter>
 );
@@ -0,0 +1,128 @@
+import { useSyncExternalStore } from 'react';
+import axios from 'axios';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+// Offline support, the page side of public/sw.js. Importing this module registers the service
+// worker (production builds only) and syncs the queue whenever the browser comes back online.
+//
+// Downloads: "Download for offline" stores a game's bundle files (from /api/games/:id/offline-manifest)
+// and its page data in caches the service worker serves from. Which games are downloaded is kept in
+// localStorage ('offline_games').
+//
+// Sync queue: quiz answers and leaderboard scores that could not be sent wait in localStorage
+// ('offline_queue'), tagged with the user they belong to. Each carries an Idempotency-Key, the same
+// one the first attempt used, so the backend records it once however often it is retried.
+
+// Shared with public/sw.js
+const CATALOG_CACHE = 'lg-catalog';
+const GAME_CACHE_PREFIX = 'lg-game-';
+
+function read(key, fallback){ try{ return JSON.parse(localStorage.getItem(key)) || fallback; }catch(e){ return fallback; } }
+
+let state = { online: navigator.onLine, queued: read('offline_queue', []).length, downloads: read('offline_games', {}), syncing: false, lastSync: null };
+const listeners = new Set();
+function update(changes){ state = { ...state, ...changes }; listeners.forEach(fn => fn()); }
+function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+
+// { online, queued, downloads, syncing, lastSync: { synced, failed } }, re-rendering on changes
+export function useOffline(){ return useSyncExternalStore(subscribe, () => state); }
+
+export const canDownload = () => 'caches' in window && 'serviceWorker' in navigator;
+
+// Downloads: game is the full game as GET /api/games/:id returned it
+export async function downloadGame(game, headers){
+  const { data } = await axios.get(API + `/games/${game._id}/offline-manifest`, { headers });
+  const cache = await caches.open(GAME_CACHE_PREFIX + game._id);
+  for(const url of data.files){
+    const res = await fetch(url, { credentials: 'same-origin' });
+    if(!res.ok) throw new Error(`Could not download ${url}`);
+    await cache.put(url.split('?')[0], res);
+  }
+  // stored under the URL the hub requests, so the game opens offline without counting as a visit
+  const page = new Response(JSON.stringify(game), { headers: { 'Content-Type': 'application/json' } });
+  await (await caches.open(CATALOG_CACHE)).put(API + `/games/${game._id}`, page);
+  saveDownloads({ ...state.downloads, [game._id]: { title: game.title, version: data.version, files: data.files.length, downloadedAt: new Date().toISOString() } });
+}
+export async function removeDownload(gameId){
+  await caches.delete(GAME_CACHE_PREFIX + gameId);
+  const { [gameId]: removed, ...rest } = state.downloads;
+  saveDownloads(rest);
+}
+function saveDownloads(downloads){
+  localStorage.setItem('offline_games', JSON.stringify(downloads));
+  update({ downloads });
+}
+
+// Sync queue
+export const idempotencyKey = () => crypto.randomUUID();
+// Set by the network, not the server: the request may or may not have arrived
+export const isNetworkError = e => !!e && !e.response && !axios.isCancel(e);
+
+function currentUserId(){
+  const token = localStorage.getItem('token');
+  try{ return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/'))).id; }catch(e){ return null; }
+}
+function saveQueue(items){
+  localStorage.setItem('offline_queue', JSON.stringify(items));
+  update({ queued: items.length });
+}
+function updateItem(item){ saveQueue(read('offline_queue', []).map(i => i.key === item.key ? item : i)); }
+function removeItem(key){ saveQueue(read('offline_queue', []).filter(i => i.key !== key)); }
+
+/**
+ * Queues a submission: kind 'quiz' (body { answers }) or 'leaderboard' (body { score }). Pass the key
+ * (and, for scores, the play session) of an attempt that failed on the network so a retry of a
+ * request that did arrive is recognized.
+ */
+export function enqueue({ kind, gameId, body, headers, key = idempotencyKey(), sessionToken }){
+  const item = { key, kind, gameId, body, headers, sessionToken, userId: currentUserId(), queuedAt: new Date().toISOString() };
+  saveQueue([...read('offline_queue', []), item]);
+}
+
+async function send(item){
+  const headers = { ...item.headers, 'Idempotency-Key': item.key };
+  if(item.kind === 'quiz') return (await axios.post(API + `/games/${item.gameId}/quiz`, item.body, { headers })).data;
+  // scores from offline plays have no play session yet; one is opened now and kept for retries
+  if(!item.sessionToken){
+    item.sessionToken = (await axios.post(API + `/games/${item.gameId}/play-session`, {}, { headers: item.headers })).data.sessionToken;
+    updateItem(item);
+  }
+  return (await axios.post(API + `/games/${item.gameId}/leaderboard`, { ...item.body, sessionToken: item.sessionToken }, { headers })).data;
+}
+
+// One sync at a time, oldest first. Network and server errors stop it until the next try; a request
+// the server turns down for good (e.g. a score out of range) is dropped and counted as failed.
+let flushing = null;
+export function flushQueue(){
+  if(!flushing) flushing = flush().finally(() => { flushing = null; });
+  return flushing;
+}
+async function flush(){
+  const userId = currentUserId();
+  const items = read('offline_queue', []).filter(i => userId && i.userId === userId);
+  if(!items.length) return;
+  update({ syncing: true });
+  let synced = 0, failed = 0;
+  for(const item of items){
+    try{
+      await send(item);
+      removeItem(item.key); synced++;
+    }catch(e){
+      const status = e.response?.status;
+      // an expired play session is replaced on the next try; the key still stops a double submit
+      if(status === 401 && item.sessionToken){ updateItem({ ...item, sessionToken: undefined }); break; }
+      if(isNetworkError(e) || status >= 500 || [401, 408, 409, 429].includes(status)) break;
+      console.error('Dropping queued', item.kind, e.response?.data);
+      removeItem(item.key); failed++;
+    }
+  }
+  update({ syncing: false, lastSync: synced || failed ? { synced, failed } : state.lastSync });
+}
+
+window.addEventListener('online', () => { update({ online: true }); flushQueue(); });
+window.addEventListener('offline', () => update({ online: false }));
+if(navigator.onLine) flushQueue();
+
+if('serviceWorker' in navigator && import.meta.env.PROD){
+  window.addEventListener('load', () => navigator.serviceWorker.register('/sw.js').catch(e => console.error('Service worker registration failed', e)));
+}
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation, useSearchParams, Link } from 'react-router-dom';
+import axios from 'axios';
+import { saveSession, logout } from '../session';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+// Account pages: login/signup, forgot password and settings at /account, plus the targets of the
+// emailed links at /reset-password and /verify-email (?token=...)
+export default function Account(){
+  const { pathname } = useLocation();
+  const [params] = useSearchParams();
+  const token = params.get('token') || '';
+  if(pathname.startsWith('/reset-password')) return <ResetPassword token={token} />;
+  if(pathname.startsWith('/verify-email')) return <VerifyEmail token={token} />;
+  return <AccountHome />;
+}
+
+function Page({ title, children }){
+  return (
+    <div style={{fontFamily:'system-ui',padding:20,maxWidth:420}}>
+      <p><Link to='/'>← Back to games</Link></p>
+      <h1>{title}</h1>
+      {children}
+    </div>
+  );
+}
+
+function AccountHome(){
+  const [me, setMe] = useState(null);
+  const [mode, setMode] = useState('login');
+  const [form, setForm] = useState({ email:'', password:'', currentPassword:'', newPassword:'' });
+  const [message, setMessage] = useState('');
+
+  useEffect(()=>{ if(localStorage.getItem('token')) fetchMe(); }, []);
+  async function fetchMe(){
+    try{ const res = await axios.get(API + '/me', { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }); setMe(res.data); }
+    catch(e){ setMe(null); }
+  }
+  const fail = (e, fallback) => setMessage(e.response?.data?.error || fallback);
+
+  async function submit(){
+    setMessage('');
+    try{
+      if(mode === 'forgot'){
+        await axios.post(API + '/password/forgot', { email: form.email });
+        return setMessage('If that address has an account, we sent it a link to reset the password.');
+      }
+      const res = await axios.post(API + (mode === 'signup' ? '/signup' : '/login'), { email: form.email, password: form.password });
+      saveSession(res.data);
+      if(mode === 'signup') setMessage('Account created. Check your email to confirm your address.');
+      setForm({ ...form, password:'' }); fetchMe();
+    }catch(e){ fail(e, 'Something went wrong'); }
+  }
+  async function changePassword(){
+    try{
+      const res = await axios.post(API + '/me/password', { currentPassword: form.currentPassword, newPassword: form.newPassword }, { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+      saveSession(res.data);
+      setForm({ ...form, currentPassword:'', newPassword:'' }); setMessage('Password changed. Other devices have been signed out.');
+    }catch(e){ fail(e, 'Could not change password'); }
+  }
+  async function resendVerification(){
+    try{
+      await axios.post(API + '/email/verify/resend', {}, { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+      setMessage('Verification email sent.');
+    }catch(e){ fail(e, 'Could not send email'); }
+  }
+  async function changePrivacy(analyticsPrivacy){
+    try{
+      const res = await axios.put(API + '/me/privacy', { analyticsPrivacy }, { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+      setMe({ ...me, ...res.data }); setMessage('Privacy setting saved.');
+    }catch(e){ fail(e, 'Could not save privacy setting'); }
+  }
+  async function signOut(everywhere){
+    await logout({ everywhere });
+    setMe(null); setMessage(everywhere ? 'Signed out on every device.' : 'Signed out.');
+  }
+
+  if(me) return (
+    <Page title='Your account'>
+      <p>{me.email} ({me.role}{me.isPremium ? ', premium' : ''})</p>
+      {!me.emailVerified && <p>Your email address is not confirmed yet. <button onClick={resendVerification}>Resend email</button></p>}
+      <h3>Change password</h3>
+      <input type='password' placeholder='current password' value={form.currentPassword} onChange={e=>setForm({...form,currentPassword:e.target.value})} />
+      <input type='password' placeholder='new password' value={form.newPassword} onChange={e=>setForm({...form,newPassword:e.target.value})} />
+      <button onClick={changePassword}>Change</button>
+      <h3>Usage statistics</h3>
+      <select value={me.analyticsPrivacy} onChange={e=>changePrivacy(e.target.value)}>
+        <option value='full'>Share my activity to help improve the games</option>
+        <option value='anonymous'>Count my activity anonymously only</option>
+        <option value='off'>Don't record my activity</option>
+      </select>
+      <div><small>We record when games are opened, played and completed, and quiz results. Switching away from sharing also unlinks what was recorded before. Your browser's Do Not Track setting is respected.</small></div>
+      <h3>Sign out</h3>
+      <button onClick={()=>signOut(false)}>Sign out</button> <button onClick={()=>signOut(true)}>Sign out everywhere</button>
+      {message && <p>{message}</p>}
+    </Page>
+  );
+  return (
+    <Page title={{ login: 'Log in', signup: 'Sign up', forgot: 'Forgot password' }[mode]}>
+      <div><input placeholder='email' type='email' value={form.email} onChange={e=>setForm({...form,email:e.target.value})} /></div>
+      {mode !== 'forgot' && <div><input placeholder='password' type='password' value={form.password} onChange={e=>setForm({...form,password:e.target.value})} onKeyDown={e=>{ if(e.key==='Enter') submit(); }} /></div>}
+      {mode === 'signup' && <small>At least 8 characters, with letters and numbers.</small>}
+      <div><button onClick={submit}>{{ login: 'Log in', signup: 'Create account', forgot: 'Send reset link' }[mode]}</button></div>
+      {message && <p>{message}</p>}
+      <p>
+        {mode !== 'login' && <button onClick={()=>{ setMode('login'); setMessage(''); }}>Log in</button>}{' '}
+        {mode !== 'signup' && <button onClick={()=>{ setMode('signup'); setMessage(''); }}>Sign up</button>}{' '}
+        {mode !== 'forgot' && <button onClick={()=>{ setMode('forgot'); setMessage(''); }}>Forgot password?</button>}
+      </p>
+    </Page>
+  );
+}
+
+function ResetPassword({ token }){
+  const [password, setPassword] = useState('');
+  const [message, setMessage] = useState('');
+  const [done, setDone] = useState(false);
+  async function submit(){
+    try{
+      await axios.post(API + '/password/reset', { token, password });
+      setDone(true); setMessage('Password changed. You can log in now.');
+    }catch(e){ setMessage(e.response?.data?.error || 'Could not reset password'); }
+  }
+  return (
+    <Page title='Choose a new password'>
+      {!done && (
+        <div>
+          <input type='password' placeholder='new password' value={password} onChange={e=>setPassword(e.target.value)} />
+          <button disabled={!token} onClick={submit}>Save</button>
+          <div><small>At least 8 characters, with letters and numbers.</small></div>
+        </div>
+      )}
+      {message && <p>{message}</p>}
+      {done && <Link to='/account'>Log in</Link>}
+    </Page>
+  );
+}
+
+function VerifyEmail({ token }){
+  const [message, setMessage] = useState('Confirming…');
+  useEffect(()=>{
+    axios.post(API + '/email/verify', { token })
+      .then(()=>setMessage('Thanks, your email address is confirmed.'))
+      .catch(e=>setMessage(e.response?.data?.error || 'Could not confirm your email address'));
+  }, [token]);
+  return <Page title='Confirm email'><p>{message}</p></Page>;
+}
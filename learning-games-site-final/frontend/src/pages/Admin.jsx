@@ -1,91 +1,429 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { saveSession } from '../session';
+import { useI18n, LocaleSwitcher } from '../i18n';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from 'recharts';
 const API = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+// Mirrors ROLES in backend/permissions.js
+const ROLES = ['user', 'teacher', 'moderator', 'content-editor', 'admin'];
+const AUDIT_FILTERS = { action:'', actorId:'', targetType:'', targetId:'', from:'', to:'' };
+const dateInput = d => d.toISOString().slice(0, 10);
+const percent = n => `${Math.round(n * 100)}%`;
+const SERIES_LINES = [['opens','#8884d8'], ['plays','#82ca9d'], ['completions','#ff7300'], ['quizPasses','#d0021b'], ['activeUsers','#4a90e2']];
+
+// Stored translations back into the { locale: { ...fields } } JSON the editor and metadata.json use
+function translationsInput(g){
+  if(!g.translations?.length) return '';
+  const input = Object.fromEntries(g.translations.map(({ locale, title, description, lesson, quizzes }) => [locale, {
+    title, description, lessonTitle: lesson?.title || undefined, lessonFormat: lesson?.format, lessonContent: lesson?.content || undefined,
+    quizzes: quizzes?.length ? quizzes : undefined
+  }]));
+  return JSON.stringify(input, null, 2);
+}
 
 export default function Admin(){
   const [token, setToken] = useState(localStorage.getItem('token')||'');
-  const [role, setRole] = useState('');
+  const [me, setMe] = useState(null);
+  const [tab, setTab] = useState('dashboard');
   const [auth, setAuth] = useState({ email:'', password:'' });
   const [games, setGames] = useState([]);
   const [users, setUsers] = useState([]);
-  const [comments, setComments] = useState([]);
+  const [comments, setComments] = useState({ items: [], page: 1, pages: 0, total: 0 });
+  const [commentStatus, setCommentStatus] = useState('pending');
+  const [selectedComments, setSelectedComments] = useState([]);
   const [analytics, setAnalytics] = useState(null);
+  const [report, setReport] = useState(null);
+  const [reportQuery, setReportQuery] = useState({ from: dateInput(new Date(Date.now() - 29*24*3600*1000)), to: dateInput(new Date()), interval:'day', gameId:'', category:'', by:'game' });
+  const [editing, setEditing] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [zipFile, setZipFile] = useState(null);
+  const [bulkReport, setBulkReport] = useState(null);
+  const [audit, setAudit] = useState({ items: [], actions: [], page: 1, pages: 0, total: 0 });
+  const [auditFilters, setAuditFilters] = useState(AUDIT_FILTERS);
+  const { t, formatDateTime } = useI18n();
 
   useEffect(()=>{ if(token) fetchAdmin(); }, [token]);
 
   async function login(){
     const res = await axios.post(API + '/login', auth);
-    if(res.data.token){ setToken(res.data.token); localStorage.setItem('token', res.data.token); setRole(res.data.role); }
+    if(res.data.token){ saveSession(res.data); setToken(res.data.token); }
   }
 
+  // Only the sections the caller's role grants are loaded and shown
+  const can = permission => !!me?.permissions.includes(permission);
   async function fetchAdmin(){
     const headers = { Authorization: `Bearer ${token}` };
     try{
-      const [g,u,c,a] = await Promise.all([ axios.get(API + '/admin/games', {headers}), axios.get(API + '/admin/users', {headers}), axios.get(API + '/admin/comments', {headers}), axios.get(API + '/admin/analytics', {headers}) ]);
-      setGames(g.data); setUsers(u.data); setComments(c.data); setAnalytics(a.data);
-    }catch(e){ console.error(e); alert('Failed fetching admin data'); }
+      const { data: profile } = await axios.get(API + '/me', {headers});
+      setMe(profile);
+      const allowed = permission => profile.permissions.includes(permission);
+      const [g,u,a] = await Promise.all([
+        allowed('games:manage') ? axios.get(API + '/admin/games', {headers}) : null,
+        allowed('users:read') ? axios.get(API + '/admin/users', {headers}) : null,
+        allowed('analytics:read') ? axios.get(API + '/admin/analytics', {headers}) : null
+      ]);
+      setGames(g?.data || []); setUsers(u?.data || []); setAnalytics(a?.data || null);
+      if(allowed('comments:moderate')) await fetchComments(commentStatus, 1);
+      if(allowed('analytics:read')) await fetchReport();
+    }catch(e){ console.error(e); alert(t('admin.fetchFailed')); }
+  }
+
+  // Analytics reports for the chosen date range, interval and game / category filter
+  async function fetchReport(query = reportQuery){
+    const headers = { Authorization: `Bearer ${token}` };
+    const { by, ...rest } = query;
+    const params = Object.fromEntries(Object.entries(rest).filter(([,v]) => v));
+    try{
+      const [series, breakdown, funnel, retention] = await Promise.all([
+        axios.get(API + '/admin/analytics/timeseries', { params, headers }),
+        axios.get(API + '/admin/analytics/breakdown', { params: { ...params, by }, headers }),
+        axios.get(API + '/admin/analytics/funnel', { params, headers }),
+        axios.get(API + '/admin/analytics/retention', { params, headers })
+      ]);
+      setReport({ series: series.data.series, breakdown: breakdown.data, funnel: funnel.data.steps, retention: retention.data.cohorts, interval: series.data.interval });
+    }catch(e){ alert(e.response?.data?.error || t('admin.analytics.fetchFailed')); }
+  }
+  function changeReport(changes){
+    const next = { ...reportQuery, ...changes };
+    setReportQuery(next); fetchReport(next);
   }
 
-  async function approveComment(gameId, idx){
-    await axios.post(API + `/admin/comments/${gameId}/${idx}/approve`, {}, { headers: { Authorization: `Bearer ${token}` } });
+  // Game editing: each save, rollback and bulk re-upload becomes a new version on the server
+  async function saveGame(){
+    const { _id, title, description, lessonTitle, lessonFormat, lessonContent, defaultLocale, translations } = editing;
+    try{
+      await axios.patch(API + `/admin/games/${_id}`, { title, description, lessonTitle, lessonFormat, lessonContent, defaultLocale, translations }, { headers: { Authorization: `Bearer ${token}` } });
+      setEditing(null); fetchAdmin();
+    }catch(e){ alert([e.response?.data?.error || t('admin.games.saveFailed'), ...(e.response?.data?.details || [])].join('\n')); }
+  }
+  async function showHistory(gameId){
+    const res = await axios.get(API + `/admin/games/${gameId}/versions`, { headers: { Authorization: `Bearer ${token}` } });
+    setHistory({ gameId, ...res.data });
+  }
+  async function rollback(gameId, version){
+    if(!confirm(t('admin.games.confirmRollback', { version }))) return;
+    await axios.post(API + `/admin/games/${gameId}/rollback`, { version }, { headers: { Authorization: `Bearer ${token}` } });
+    showHistory(gameId); fetchAdmin();
+  }
+  async function deleteGame(g){
+    if(!confirm(t('admin.games.confirmDelete', { title: g.title }))) return;
+    await axios.delete(API + `/admin/games/${g._id}`, { headers: { Authorization: `Bearer ${token}` } });
     fetchAdmin();
   }
-  async function deleteComment(gameId, idx){
-    await axios.delete(API + `/admin/comments/${gameId}/${idx}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  // Bulk upload: preview (dry run) first, then import the same file
+  async function bulkUpload(dryRun){
+    if(!zipFile) return;
+    const form = new FormData();
+    form.append('zipFile', zipFile);
+    try{
+      const res = await axios.post(API + '/admin/bulk-upload', form, { params: { dryRun }, headers: { Authorization: `Bearer ${token}` } });
+      setBulkReport(res.data);
+      if(!dryRun) fetchAdmin();
+    }catch(e){
+      const data = e.response?.data;
+      setBulkReport({ error: data?.error || t('admin.bulk.failed'), reasons: data?.reasons || [] });
+    }
+  }
+
+  async function changeRole(u, role){
+    if(!confirm(t('admin.users.confirmRole', { email: u.email, role }))) return;
+    try{ await axios.post(API + `/admin/users/${u._id}/role`, { role }, { headers: { Authorization: `Bearer ${token}` } }); }
+    catch(e){ alert(e.response?.data?.error || t('admin.users.roleFailed')); }
     fetchAdmin();
   }
 
+  // Audit log: every admin action, newest first; empty filters are left out of the query
+  async function fetchAudit(page, filters = auditFilters){
+    const params = { page };
+    Object.entries(filters).forEach(([k,v]) => { if(v) params[k] = (k === 'from' || k === 'to') ? new Date(v).toISOString() : v; });
+    try{
+      const res = await axios.get(API + '/admin/audit', { params, headers: { Authorization: `Bearer ${token}` } });
+      setAudit(res.data);
+    }catch(e){ alert(e.response?.data?.error || t('admin.audit.fetchFailed')); }
+  }
+  function openTab(name){
+    setTab(name);
+    if(name === 'audit') fetchAudit(1);
+  }
+
+  // Comment moderation queue: filter by status, select comments, approve/reject them in bulk
+  async function fetchComments(status, page){
+    const res = await axios.get(API + '/admin/comments', { params: { status, page }, headers: { Authorization: `Bearer ${token}` } });
+    setCommentStatus(status); setComments(res.data); setSelectedComments([]);
+  }
+  function toggleComment(id){ setSelectedComments(selectedComments.includes(id) ? selectedComments.filter(x => x !== id) : [...selectedComments, id]); }
+  async function moderateComments(ids, action){
+    if(!ids.length) return;
+    await axios.post(API + '/admin/comments/bulk', { ids, action }, { headers: { Authorization: `Bearer ${token}` } });
+    fetchComments(commentStatus, comments.page);
+  }
+  async function deleteComment(c){
+    if(!confirm(t('admin.comments.confirmDelete'))) return;
+    await axios.delete(API + `/admin/comments/${c._id}`, { headers: { Authorization: `Bearer ${token}` } });
+    fetchComments(commentStatus, comments.page);
+  }
+
   return (
     <div style={{padding:20}}>
-      <h1>Admin Dashboard</h1>
+      <h1>{t('admin.title')}</h1>
+      <p><LocaleSwitcher /></p>
       {!token && (
         <div>
-          <input placeholder='email' value={auth.email} onChange={e=>setAuth({...auth,email:e.target.value})} />
-          <input placeholder='password' type='password' value={auth.password} onChange={e=>setAuth({...auth,password:e.target.value})} />
-          <button onClick={login}>Login</button>
+          <input placeholder={t('common.email')} value={auth.email} onChange={e=>setAuth({...auth,email:e.target.value})} />
+          <input placeholder={t('common.password')} type='password' value={auth.password} onChange={e=>setAuth({...auth,password:e.target.value})} />
+          <button onClick={login}>{t('common.login')}</button>
+        </div>
+      )}
+
+      {token && me && (
+        <div style={{marginBottom:12}}>
+          <span>{me.email} ({me.role}) </span>
+          <button disabled={tab==='dashboard'} onClick={()=>openTab('dashboard')}>{t('admin.dashboard')}</button>{' '}
+          {can('audit:read') && <button disabled={tab==='audit'} onClick={()=>openTab('audit')}>{t('admin.audit')}</button>}
+          {!me.permissions.length && <p>{t('admin.noPermissions')}</p>}
         </div>
       )}
 
-      {token && (
+      {token && tab === 'audit' && (
+        <section style={{background:'#fff',padding:12,borderRadius:6}}>
+          <h2>{t('admin.audit.title', { total: audit.total })}</h2>
+          <div style={{marginBottom:8}}>
+            <select value={auditFilters.action} onChange={e=>setAuditFilters({...auditFilters,action:e.target.value})}>
+              <option value=''>{t('admin.audit.allActions')}</option>
+              {audit.actions.map(a=> <option key={a} value={a}>{a}</option>)}
+            </select>
+            <select value={auditFilters.targetType} onChange={e=>setAuditFilters({...auditFilters,targetType:e.target.value})}>
+              <option value=''>{t('admin.audit.allTargets')}</option>
+              {['game','user','comment','storage','upload'].map(type=> <option key={type} value={type}>{type}</option>)}
+            </select>
+            <input placeholder={t('admin.audit.targetId')} value={auditFilters.targetId} onChange={e=>setAuditFilters({...auditFilters,targetId:e.target.value})} />
+            <input placeholder={t('admin.audit.actorId')} value={auditFilters.actorId} onChange={e=>setAuditFilters({...auditFilters,actorId:e.target.value})} />
+            <label> {t('admin.audit.from')} <input type='datetime-local' value={auditFilters.from} onChange={e=>setAuditFilters({...auditFilters,from:e.target.value})} /></label>
+            <label> {t('admin.audit.to')} <input type='datetime-local' value={auditFilters.to} onChange={e=>setAuditFilters({...auditFilters,to:e.target.value})} /></label>
+            {' '}<button onClick={()=>fetchAudit(1)}>{t('admin.audit.filter')}</button>
+            {' '}<button onClick={()=>{ setAuditFilters(AUDIT_FILTERS); fetchAudit(1, AUDIT_FILTERS); }}>{t('admin.audit.clear')}</button>
+          </div>
+          <table>
+            <thead><tr><th>{t('admin.audit.when')}</th><th>{t('admin.audit.who')}</th><th>{t('admin.audit.action')}</th><th>{t('admin.audit.target')}</th><th>{t('admin.audit.details')}</th></tr></thead>
+            <tbody>{audit.items.map(e=> (
+              <tr key={e._id}>
+                <td>{formatDateTime(e.createdAt)}</td>
+                <td><button onClick={()=>{ const f = {...auditFilters, actorId: e.actorId}; setAuditFilters(f); fetchAudit(1, f); }}>{e.actorEmail}</button> ({e.actorRole})</td>
+                <td>{e.action}</td>
+                <td>{e.targetType}{e.targetId ? ` ${e.targetId}` : ''}</td>
+                <td><code style={{fontSize:'0.85em'}}>{JSON.stringify(e.details)}</code></td>
+              </tr>
+            ))}</tbody>
+          </table>
+          {audit.pages > 1 && (
+            <div>
+              <button disabled={audit.page<=1} onClick={()=>fetchAudit(audit.page-1)}>{t('common.prev')}</button>
+              <span> {t('common.page', { page: audit.page, pages: audit.pages })} </span>
+              <button disabled={audit.page>=audit.pages} onClick={()=>fetchAudit(audit.page+1)}>{t('common.next')}</button>
+            </div>
+          )}
+        </section>
+      )}
+
+      {token && me && tab === 'dashboard' && (
         <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:20}}>
-          <section style={{background:'#fff',padding:12,borderRadius:6}}>
-            <h2>Games ({games.length})</h2>
-            <ul>{games.map(g=> <li key={g._id}>{g.title} — {g.leaderboard?.length || 0} scores</li>)}</ul>
-          </section>
-
-          <section style={{background:'#fff',padding:12,borderRadius:6}}>
-            <h2>Users ({users.length})</h2>
-            <ul>{users.map(u=> <li key={u._id}>{u.email} — {u.role}</li>)}</ul>
-          </section>
-
-          <section style={{gridColumn:'1 / -1', background:'#fff', padding:12, borderRadius:6}}>
-            <h2>Comments Moderation</h2>
-            <ul>{comments.map((c,i)=> (
-              <li key={i}><strong>{c.gameTitle}</strong>: {c.comment.text} — <button onClick={()=>approveComment(c.gameId, c.commentIndex||0)}>Approve</button> <button onClick={()=>deleteComment(c.gameId, c.commentIndex||0)}>Delete</button></li>
+          {can('games:manage') && <section style={{background:'#fff',padding:12,borderRadius:6}}>
+            <h2>{t('admin.games.title', { count: games.length })}</h2>
+            <ul>{games.map(g=> (
+              <li key={g._id}>
+                {g.title} (v{g.version || 0}) — {t('admin.games.players', { count: g.players || 0 })}{' '}
+                <button onClick={()=>setEditing({ _id: g._id, title: g.title || '', description: g.description || '', lessonTitle: g.lesson?.title || '', lessonFormat: g.lesson?.format || 'html', lessonContent: g.lesson?.content || '', defaultLocale: g.defaultLocale || 'en', translations: translationsInput(g) })}>{t('common.edit')}</button>{' '}
+                <button onClick={()=>showHistory(g._id)}>{t('admin.games.history')}</button>{' '}
+                <button onClick={()=>deleteGame(g)}>{t('common.delete')}</button>
+                {editing?._id === g._id && (
+                  <div>
+                    <input placeholder={t('admin.games.titleField')} value={editing.title} onChange={e=>setEditing({...editing,title:e.target.value})} />
+                    <input placeholder={t('admin.games.description')} value={editing.description} onChange={e=>setEditing({...editing,description:e.target.value})} />
+                    <input placeholder={t('admin.games.lessonTitle')} value={editing.lessonTitle} onChange={e=>setEditing({...editing,lessonTitle:e.target.value})} />
+                    <select value={editing.lessonFormat} onChange={e=>setEditing({...editing,lessonFormat:e.target.value})}>
+                      <option value='html'>{t('admin.games.formatHtml')}</option>
+                      <option value='markdown'>{t('admin.games.formatMarkdown')}</option>
+                    </select>
+                    <textarea placeholder={t('admin.games.lessonContent')} rows={8} value={editing.lessonContent} onChange={e=>setEditing({...editing,lessonContent:e.target.value})} />
+                    <label>{t('admin.games.defaultLocale')} <input value={editing.defaultLocale} size={6} onChange={e=>setEditing({...editing,defaultLocale:e.target.value})} /></label>
+                    <textarea placeholder={t('admin.games.translations')} rows={6} dir='auto' value={editing.translations} onChange={e=>setEditing({...editing,translations:e.target.value})} />
+                    <button onClick={saveGame}>{t('common.save')}</button> <button onClick={()=>setEditing(null)}>{t('common.cancel')}</button>
+                  </div>
+                )}
+                {history?.gameId === g._id && (
+                  <ul>{history.versions.map(v=> (
+                    <li key={v._id}>v{v.version} — {formatDateTime(v.createdAt)} — {v.note}{' '}
+                      {v.version !== history.current && <button onClick={()=>rollback(g._id, v.version)}>{t('admin.games.rollBack')}</button>}
+                    </li>
+                  ))}</ul>
+                )}
+              </li>
+            ))}</ul>
+          </section>}
+
+          {can('users:read') && <section style={{background:'#fff',padding:12,borderRadius:6}}>
+            <h2>{t('admin.users.title', { count: users.length })}</h2>
+            <ul>{users.map(u=> (
+              <li key={u._id}>{u.email} —{' '}
+                {can('users:manage') && String(u._id) !== String(me.id) ? (
+                  <select value={u.role} onChange={e=>changeRole(u, e.target.value)}>
+                    {ROLES.map(r=> <option key={r} value={r}>{r}</option>)}
+                  </select>
+                ) : u.role}
+              </li>
             ))}</ul>
-          </section>
+          </section>}
+
+          {can('games:manage') && <section style={{gridColumn:'1 / -1', background:'#fff', padding:12, borderRadius:6}}>
+            <h2>{t('admin.bulk.title')}</h2>
+            <input type='file' accept='.zip' onChange={e=>{ setZipFile(e.target.files[0]); setBulkReport(null); }} />
+            <button disabled={!zipFile} onClick={()=>bulkUpload(true)}>{t('admin.bulk.preview')}</button>
+            <button disabled={!zipFile || !bulkReport || bulkReport.error || !bulkReport.dryRun || !bulkReport.summary.ready} onClick={()=>bulkUpload(false)}>{t('admin.bulk.import')}</button>
+            {bulkReport?.error && (
+              <div style={{color:'crimson'}}>
+                <p>{bulkReport.error}</p>
+                <ul>{bulkReport.reasons.map((r,i)=> <li key={i}>{r}</li>)}</ul>
+              </div>
+            )}
+            {bulkReport?.summary && (
+              <div>
+                <p>{bulkReport.dryRun ? t('admin.bulk.previewSummary', bulkReport.summary) : t('admin.bulk.importSummary', bulkReport.summary)}{t('admin.bulk.restSummary', bulkReport.summary)}</p>
+                <table>
+                  <thead><tr><th>{t('admin.bulk.folder')}</th><th>{t('admin.bulk.gameTitle')}</th><th>{t('admin.bulk.status')}</th><th>{t('admin.bulk.reasons')}</th></tr></thead>
+                  <tbody>
+                    {bulkReport.games.map(g=>(
+                      <tr key={g.folder}><td>{g.folder}</td><td>{g.title}</td><td>{g.status}{g.action ? ` (${g.action})` : ''}</td><td>{(g.reasons||[]).join('; ')}</td></tr>
+                    ))}
+                    {bulkReport.skipped.map(s=>(
+                      <tr key={'skip-'+s.folder}><td>{s.folder}</td><td></td><td>{t('admin.bulk.skipped')}</td><td>{s.reason}</td></tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>}
+
+          {can('comments:moderate') && <section style={{gridColumn:'1 / -1', background:'#fff', padding:12, borderRadius:6}}>
+            <h2>{t('admin.comments.title')}</h2>
+            <div style={{marginBottom:8}}>
+              <select value={commentStatus} onChange={e=>fetchComments(e.target.value, 1)}>
+                {['pending','reported','approved','rejected'].map(status=> <option key={status} value={status}>{t(`admin.comments.status.${status}`)}</option>)}
+              </select>
+              {' '}<label><input type='checkbox' checked={comments.items.length > 0 && selectedComments.length === comments.items.length} onChange={e=>setSelectedComments(e.target.checked ? comments.items.map(c => c._id) : [])} /> {t('admin.comments.selectAll')}</label>
+              {' '}<button disabled={!selectedComments.length} onClick={()=>moderateComments(selectedComments, 'approve')}>{t('admin.comments.approveSelected')}</button>
+              {' '}<button disabled={!selectedComments.length} onClick={()=>moderateComments(selectedComments, 'reject')}>{t('admin.comments.rejectSelected')}</button>
+              <span> {t('admin.comments.count', { count: comments.total })}</span>
+            </div>
+            <ul>{comments.items.map(c=> (
+              <li key={c._id}>
+                <input type='checkbox' checked={selectedComments.includes(c._id)} onChange={()=>toggleComment(c._id)} />
+                <strong>{c.gameTitle}</strong> — {c.userEmail}{c.parentId && <em>{t('admin.comments.replyTo', { text: c.parentText })}</em>}: {c.text}
+                {c.moderation?.status && (
+                  <div style={{color:'#555'}}>
+                    <small>{t('admin.comments.auto', { status: c.moderation.status, trust: Math.round(c.moderation.trust*10)/10 })}{c.moderation.verdicts.map((v,i)=> <span key={i}> · {v.check} → {v.action}: {v.reason}{v.detail ? ` (${v.detail})` : ''}</span>)}
+                    {c.reviewedAt && t('admin.comments.reviewed', { date: formatDateTime(c.reviewedAt) })}</small>
+                  </div>
+                )}
+                {c.reportCount > 0 && <div style={{color:'crimson'}}>{t('admin.comments.reportedTimes', { count: c.reportCount, reasons: c.reports.map(r => r.reason).filter(Boolean).join('; ') })}</div>}
+                {' '}<button onClick={()=>moderateComments([c._id], 'approve')}>{t('admin.comments.approve')}</button> <button onClick={()=>moderateComments([c._id], 'reject')}>{t('admin.comments.reject')}</button> <button onClick={()=>deleteComment(c)}>{t('common.delete')}</button>
+              </li>
+            ))}</ul>
+            {comments.pages > 1 && (
+              <div>
+                <button disabled={comments.page<=1} onClick={()=>fetchComments(commentStatus, comments.page-1)}>{t('common.prev')}</button>
+                <span> {t('common.page', { page: comments.page, pages: comments.pages })} </span>
+                <button disabled={comments.page>=comments.pages} onClick={()=>fetchComments(commentStatus, comments.page+1)}>{t('common.next')}</button>
+              </div>
+            )}
+          </section>}
 
-          <section style={{gridColumn:'1 / -1', background:'#fff', padding:12, borderRadius:6}}>
-            <h2>Analytics</h2>
+          {can('analytics:read') && <section style={{gridColumn:'1 / -1', background:'#fff', padding:12, borderRadius:6}}>
+            <h2>{t('admin.analytics.title')}</h2>
             {analytics && (
               <div>
-                <p>Total games: {analytics.totalGames}</p>
-                <p>Total users: {analytics.totalUsers}</p>
-                <h3>Top Games</h3>
-                <ol>{(analytics.topGames||[]).map(g=> <li key={g._id}>{g.title} — {g.leaderboard?.length || 0} scores</li>)}</ol>
+                <p>{t('admin.analytics.totals', { games: analytics.totalGames, users: analytics.totalUsers })}</p>
+                <h3>{t('admin.analytics.topGames')}</h3>
+                <ol>{(analytics.topGames||[]).map(g=> <li key={g._id}>{t('admin.analytics.topGame', { title: g.title, score: g.topScore, players: g.players })}</li>)}</ol>
+              </div>
+            )}
+
+            <div style={{marginBottom:8}}>
+              <label>{t('admin.analytics.from')} <input type='date' value={reportQuery.from} max={reportQuery.to} onChange={e=>changeReport({ from: e.target.value })} /></label>{' '}
+              <label>{t('admin.analytics.to')} <input type='date' value={reportQuery.to} min={reportQuery.from} onChange={e=>changeReport({ to: e.target.value })} /></label>{' '}
+              <select value={reportQuery.interval} onChange={e=>changeReport({ interval: e.target.value })}>
+                <option value='day'>{t('admin.analytics.daily')}</option>
+                <option value='week'>{t('admin.analytics.weekly')}</option>
+              </select>{' '}
+              <select value={reportQuery.gameId} onChange={e=>changeReport({ gameId: e.target.value })}>
+                <option value=''>{t('common.allGames')}</option>
+                {games.map(g=> <option key={g._id} value={g._id}>{g.title}</option>)}
+              </select>{' '}
+              <select value={reportQuery.category} onChange={e=>changeReport({ category: e.target.value })}>
+                <option value=''>{t('common.allCategories')}</option>
+                {[...new Set(games.map(g => g.category).filter(Boolean))].sort().map(c=> <option key={c} value={c}>{c}</option>)}
+              </select>
+            </div>
 
-                {/* Simple chart placeholder (time series would need backend support) */}
-                <LineChart width={600} height={240} data={[{name:'A',value:12},{name:'B',value:20},{name:'C',value:8}]}>
+            {report && (
+              <div>
+                <h3>{t('admin.analytics.activity')}</h3>
+                <LineChart width={760} height={260} data={report.series}>
                   <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis dataKey="name" />
-                  <YAxis />
+                  <XAxis dataKey="date" />
+                  <YAxis allowDecimals={false} />
                   <Tooltip />
-                  <Line type="monotone" dataKey="value" stroke="#8884d8" />
+                  <Legend />
+                  {SERIES_LINES.map(([key, color])=> <Line key={key} type="monotone" dataKey={key} name={t(`admin.analytics.series.${key}`)} stroke={color} dot={false} />)}
                 </LineChart>
+                <h3>{t('admin.analytics.avgPlayTime')}</h3>
+                <BarChart width={760} height={160} data={report.series}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" />
+                  <YAxis />
+                  <Tooltip />
+                  <Bar dataKey="avgPlaySeconds" fill="#82ca9d" />
+                </BarChart>
+
+                <h3>
+                  {t('admin.analytics.by')}{' '}
+                  <select value={reportQuery.by} onChange={e=>changeReport({ by: e.target.value })}>
+                    <option value='game'>{t('admin.analytics.byGame')}</option>
+                    <option value='category'>{t('admin.analytics.byCategory')}</option>
+                  </select>
+                </h3>
+                <table>
+                  <thead><tr><th style={{textAlign:'start'}}>{reportQuery.by === 'game' ? t('admin.analytics.game') : t('admin.analytics.category')}</th>{['opens','plays','completions','quizzes','passed','activeUsers','avgPlay'].map(col=> <th key={col}>{t(`admin.analytics.${col}`)}</th>)}</tr></thead>
+                  <tbody>{report.breakdown.items.map(r=> (
+                    <tr key={r.key}><td>{r.title}</td><td>{r.opens}</td><td>{r.plays}</td><td>{r.completions}</td><td>{r.quizSubmissions}</td><td>{r.quizPasses}</td><td>{r.activeUsers}</td><td>{t('admin.analytics.seconds', { n: r.avgPlaySeconds })}</td></tr>
+                  ))}</tbody>
+                </table>
+
+                <h3>{t('admin.analytics.funnel')}</h3>
+                <BarChart width={760} height={200} data={report.funnel.map(s => ({ ...s, label: t(`admin.analytics.step.${s.key}`) }))} layout="vertical">
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" allowDecimals={false} />
+                  <YAxis type="category" dataKey="label" width={160} />
+                  <Tooltip formatter={(value, name, item)=> [t('admin.analytics.funnelTooltip', { count: value, ofFirst: percent(item.payload.ofFirst), ofPrevious: percent(item.payload.ofPrevious) }), t('admin.analytics.learners')]} />
+                  <Bar dataKey="count" fill="#8884d8" />
+                </BarChart>
+                <small>{t('admin.analytics.funnelNote')}</small>
+
+                <h3>{t('admin.analytics.retention')}</h3>
+                <table style={{borderCollapse:'collapse'}}>
+                  <thead>
+                    <tr><th style={{textAlign:'start'}}>{t('admin.analytics.firstSeen')}</th><th>{t('admin.analytics.cohortLearners')}</th>{(report.retention[0]?.retained || []).map((_,i)=> <th key={i} style={{padding:'0 6px'}}>{t(report.interval === 'week' ? 'admin.analytics.weekN' : 'admin.analytics.dayN', { n: i })}</th>)}</tr>
+                  </thead>
+                  <tbody>{report.retention.map(c=> (
+                    <tr key={c.cohort}>
+                      <td>{c.cohort}</td><td>{c.users}</td>
+                      {c.retained.map((n,i)=> <td key={i} style={{padding:'0 6px',textAlign:'center',background:c.users ? `rgba(74,144,226,${n / c.users})` : 'transparent'}}>{c.users ? percent(n / c.users) : ''}</td>)}
+                    </tr>
+                  ))}</tbody>
+                </table>
               </div>
             )}
-          </section>
+          </section>}
         </div>
       )}
     </div>
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { saveSession } from '../session';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+const STATUS_STYLES = {
+  completed: { background:'#d4f7d4' },
+  late: { background:'#fff0c2' },
+  'in-progress': { background:'#e3eefc' },
+  missing: { background:'#fbd5d5' },
+  'not-started': {}
+};
+
+export default function Teacher(){
+  const [token, setToken] = useState(localStorage.getItem('token')||'');
+  const [auth, setAuth] = useState({ email:'', password:'' });
+  const [classrooms, setClassrooms] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [report, setReport] = useState(null);
+  const [games, setGames] = useState([]);
+  const [assignment, setAssignment] = useState({ gameId:'', title:'', dueAt:'', instructions:'' });
+
+  useEffect(()=>{ if(token) fetchClassrooms(); }, [token]);
+  const headers = () => ({ Authorization: `Bearer ${token}` });
+
+  async function login(){
+    const res = await axios.post(API + '/login', auth);
+    if(res.data.token){ saveSession(res.data); setToken(res.data.token); }
+  }
+
+  async function fetchClassrooms(){
+    try{
+      const [c, g] = await Promise.all([ axios.get(API + '/classrooms', { headers: headers() }), axios.get(API + '/games', { params: { limit: 100, sort: 'newest' }, headers: headers() }) ]);
+      setClassrooms(c.data); setGames(g.data.items);
+    }catch(e){ alert(e.response?.status === 403 ? 'This page is for teachers' : 'Failed fetching classrooms'); }
+  }
+  async function createClassroom(){
+    if(!newName.trim()) return;
+    await axios.post(API + '/classrooms', { name: newName }, { headers: headers() });
+    setNewName(''); fetchClassrooms();
+  }
+  async function openClassroom(id){
+    const res = await axios.get(API + `/classrooms/${id}`, { headers: headers() });
+    setReport(res.data);
+  }
+  async function deleteClassroom(c){
+    if(!confirm(`Delete "${c.name}" and its assignments?`)) return;
+    await axios.delete(API + `/classrooms/${c._id}`, { headers: headers() });
+    if(report?.classroom._id === c._id) setReport(null);
+    fetchClassrooms();
+  }
+  async function newJoinCode(){
+    if(!confirm('Students will need the new code to join. Continue?')) return;
+    await axios.post(API + `/classrooms/${report.classroom._id}/join-code`, {}, { headers: headers() });
+    openClassroom(report.classroom._id); fetchClassrooms();
+  }
+  async function removeStudent(s){
+    if(!confirm(`Remove ${s.email} from the class?`)) return;
+    await axios.delete(API + `/classrooms/${report.classroom._id}/students/${s._id}`, { headers: headers() });
+    openClassroom(report.classroom._id); fetchClassrooms();
+  }
+
+  // Assignments: a game from the catalog with an optional due date
+  async function addAssignment(){
+    try{
+      const dueAt = assignment.dueAt ? new Date(assignment.dueAt).toISOString() : null;
+      await axios.post(API + `/classrooms/${report.classroom._id}/assignments`, { ...assignment, dueAt }, { headers: headers() });
+      setAssignment({ gameId:'', title:'', dueAt:'', instructions:'' });
+      openClassroom(report.classroom._id); fetchClassrooms();
+    }catch(e){ alert(e.response?.data?.error || 'Failed adding assignment'); }
+  }
+  async function deleteAssignment(a){
+    if(!confirm(`Remove assignment "${a.title}"?`)) return;
+    await axios.delete(API + `/classrooms/${report.classroom._id}/assignments/${a._id}`, { headers: headers() });
+    openClassroom(report.classroom._id); fetchClassrooms();
+  }
+
+  // CSV needs the auth header, so it is fetched as a blob and saved through a temporary link
+  async function exportCsv(){
+    const res = await axios.get(API + `/classrooms/${report.classroom._id}`, { params: { format: 'csv' }, headers: headers(), responseType: 'blob' });
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url; link.download = `${report.classroom.name}-report.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function result(studentId, assignmentId){
+    return report.results.find(r => String(r.studentId) === String(studentId) && String(r.assignmentId) === String(assignmentId));
+  }
+
+  return (
+    <div style={{padding:20}}>
+      <h1>Teacher Dashboard</h1>
+      {!token && (
+        <div>
+          <input placeholder='email' value={auth.email} onChange={e=>setAuth({...auth,email:e.target.value})} />
+          <input placeholder='password' type='password' value={auth.password} onChange={e=>setAuth({...auth,password:e.target.value})} />
+          <button onClick={login}>Login</button>
+        </div>
+      )}
+
+      {token && (
+        <div style={{display:'grid',gridTemplateColumns:'300px 1fr',gap:20}}>
+          <section style={{background:'#fff',padding:12,borderRadius:6}}>
+            <h2>Classes ({classrooms.length})</h2>
+            <ul>{classrooms.map(c=> (
+              <li key={c._id}>
+                <button onClick={()=>openClassroom(c._id)} style={{fontWeight:report?.classroom._id === c._id ? 'bold' : 'normal'}}>{c.name}</button>
+                {' '}{c.students} students, {c.assignments} assignments{' '}
+                <button onClick={()=>deleteClassroom(c)}>Delete</button>
+              </li>
+            ))}</ul>
+            <input placeholder='New class name' value={newName} maxLength={100} onChange={e=>setNewName(e.target.value)} />
+            <button onClick={createClassroom}>Create</button>
+          </section>
+
+          <section style={{background:'#fff',padding:12,borderRadius:6}}>
+            {!report ? <p>Select a class</p> : (
+              <div>
+                <h2>{report.classroom.name}</h2>
+                <p>Join code: <strong style={{fontFamily:'monospace',fontSize:'1.2em'}}>{report.classroom.joinCode}</strong> <button onClick={newJoinCode}>New code</button></p>
+
+                <h3>Assignments</h3>
+                <ul>{report.assignments.map(a=> (
+                  <li key={a._id}>{a.title} ({a.gameTitle}){a.dueAt ? ` — due ${new Date(a.dueAt).toLocaleString()}` : ''} <button onClick={()=>deleteAssignment(a)}>Remove</button></li>
+                ))}</ul>
+                <div>
+                  <select value={assignment.gameId} onChange={e=>setAssignment({...assignment,gameId:e.target.value})}>
+                    <option value=''>Choose a game</option>
+                    {games.map(g=> <option key={g._id} value={g._id}>{g.title}</option>)}
+                  </select>
+                  <input placeholder='title (defaults to the game)' value={assignment.title} onChange={e=>setAssignment({...assignment,title:e.target.value})} />
+                  <input type='datetime-local' value={assignment.dueAt} onChange={e=>setAssignment({...assignment,dueAt:e.target.value})} />
+                  <input placeholder='instructions' value={assignment.instructions} onChange={e=>setAssignment({...assignment,instructions:e.target.value})} />
+                  <button disabled={!assignment.gameId} onClick={addAssignment}>Assign</button>
+                </div>
+
+                <h3>Progress <button onClick={exportCsv}>Export CSV</button></h3>
+                {report.students.length === 0 ? <p>No students yet. Share the join code with your class.</p> : (
+                  <table style={{borderCollapse:'collapse'}}>
+                    <thead>
+                      <tr>
+                        <th style={{textAlign:'left'}}>Student</th>
+                        {report.assignments.map(a=> <th key={a._id} style={{padding:'0 8px'}}>{a.title}</th>)}
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>{report.students.map(s=> (
+                      <tr key={s._id}>
+                        <td>{s.email}</td>
+                        {report.assignments.map(a=> {
+                          const r = result(s._id, a._id);
+                          return (
+                            <td key={a._id} style={{padding:'2px 8px',textAlign:'center',...STATUS_STYLES[r.status]}}>
+                              {r.status}{r.total ? ` · ${r.bestScore}/${r.total}` : ''}{r.attempts > 1 ? ` (${r.attempts} tries)` : ''}
+                            </td>
+                          );
+                        })}
+                        <td><button onClick={()=>removeStudent(s)}>Remove</button></td>
+                      </tr>
+                    ))}</tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import axios from 'axios';
+const API = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
+
+// Login session: a short-lived access token ('token') and a rotating refresh token, both in
+// localStorage. Importing this module installs axios interceptors that keep requests on the latest
+// access token and, on a 401, refresh the session once and retry.
+
+export function saveSession(data){
+  localStorage.setItem('token', data.token);
+  if(data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+}
+export function clearSession(){
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+}
+
+// One refresh at a time: concurrent 401s wait for the same rotation
+let refreshing = null;
+export function refreshSession(){
+  if(!refreshing){
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = (refreshToken ? axios.post(API + '/token/refresh', { refreshToken }, { skipSessionRefresh: true }) : Promise.reject(new Error('Not logged in')))
+      .then(res => { saveSession(res.data); return res.data; })
+      .catch(e => { if(!refreshToken || e.response?.status === 401) clearSession(); throw e; })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+export async function logout({ everywhere = false } = {}){
+  const refreshToken = localStorage.getItem('refreshToken');
+  const token = localStorage.getItem('token');
+  try{
+    await axios.post(API + '/logout', { refreshToken }, { params: everywhere ? { all: true } : undefined, headers: everywhere && token ? { Authorization: `Bearer ${token}` } : {}, skipSessionRefresh: true });
+  }catch(e){ console.error(e); }
+  clearSession();
+}
+
+axios.interceptors.request.use(config => {
+  const token = localStorage.getItem('token');
+  if(token && String(config.headers.get('Authorization') || '').startsWith('Bearer ')) config.headers.set('Authorization', `Bearer ${token}`);
+  return config;
+});
+
+axios.interceptors.response.use(null, async error => {
+  const config = error.config;
+  if(error.response?.status !== 401 || !config || config.skipSessionRefresh || config._retried || !config.headers.get('Authorization')) throw error;
+  await refreshSession().catch(() => { throw error; });
+  config._retried = true;
+  return axios(config);
+});